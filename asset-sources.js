@@ -0,0 +1,87 @@
+// Asset sources for the Magic Wall, tried in order until one loads.
+// Local copies come first so the wall runs offline (studios, air-gapped laptops);
+// the CDN entries are only fallbacks. Edit these lists to point at another mirror
+// or remove the CDN entries entirely for a fully offline build.
+window.ASSET_SOURCES = {
+    libraries: {
+        d3: {
+            global: 'd3',
+            urls: [
+                'vendor/d3.min.js',
+                'https://cdn.jsdelivr.net/npm/d3@7',
+                'https://cdnjs.cloudflare.com/ajax/libs/d3/7.9.0/d3.min.js'
+            ]
+        },
+        topojson: {
+            global: 'topojson',
+            urls: [
+                'vendor/topojson-client.min.js',
+                'https://cdn.jsdelivr.net/npm/topojson@3',
+                'https://cdnjs.cloudflare.com/ajax/libs/topojson/3.0.2/topojson.min.js'
+            ]
+        }
+    },
+    topology: {
+        states: [
+            'data/topology/states-10m.json',
+            'https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json'
+        ],
+        counties: [
+            'data/topology/counties-10m.json',
+            'https://cdn.jsdelivr.net/npm/us-atlas@3/counties-10m.json'
+        ]
+    },
+    electionData: [
+        './data/countypres_2000-2024.csv'
+    ],
+    // Election-night feed polled by the Live toggle; point `url` at the results desk's endpoint
+    liveResults: {
+        url: 'data/live/sample-feed.json',
+        pollSeconds: 30
+    }
+};
+
+// Loads libraries synchronously during page parse. Each attempt writes the script tag
+// followed by a check that either records success or writes the next source, so
+// election-map.js can still rely on d3/topojson being defined when it runs.
+window.AssetLoader = {
+    attempts: {},      // library name -> index of the source currently being tried
+    diagnostics: [],   // { asset, source, status, message }
+
+    loadLibrary(name) {
+        this.attempts[name] = -1;
+        this.tryNextSource(name);
+    },
+
+    tryNextSource(name) {
+        const library = window.ASSET_SOURCES.libraries[name];
+        const index = this.attempts[name];
+
+        if (index >= 0) {
+            const source = library.urls[index];
+            if (typeof window[library.global] !== 'undefined') {
+                this.diagnostics.push({ asset: name, source, status: 'loaded' });
+                return;
+            }
+            this.diagnostics.push({ asset: name, source, status: 'failed', message: `${library.global} not defined after loading` });
+        }
+
+        const nextIndex = index + 1;
+        if (nextIndex >= library.urls.length) {
+            console.error(`Asset loader: no source could load ${name}`);
+            return;
+        }
+
+        this.attempts[name] = nextIndex;
+        document.write(
+            `<script src="${library.urls[nextIndex]}"><\/script>` +
+            `<script>AssetLoader.tryNextSource('${name}')<\/script>`
+        );
+    },
+
+    getMissingLibraries() {
+        return Object.entries(window.ASSET_SOURCES.libraries)
+            .filter(([, library]) => typeof window[library.global] === 'undefined')
+            .map(([name]) => name);
+    }
+};
@@ -0,0 +1,1506 @@
+/**
+ * Election data engine: turns county-level CSV rows into county, state and national
+ * results. Owns mode resolution, overvote filtering, Rhode Island town aggregation,
+ * Alaska district remapping and Electoral College allocation.
+ *
+ * Has no DOM dependency, so the same code runs in the page, in a Web Worker and under
+ * Node (see test/election-data-engine.test.js).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ElectionDataEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * @typedef {Object} CandidateTotal
+     * @property {string} candidate - Display name, e.g. "Donald J. Trump"
+     * @property {string} party - Normalized party label, e.g. "REPUBLICAN"
+     * @property {?string} runningMate
+     * @property {number} votes
+     */
+
+    /**
+     * @typedef {Object} CountyResult
+     * @property {string} winner - Party with the most votes ("UNKNOWN" if none)
+     * @property {Object<string, number>} votes - Party -> votes
+     * @property {string} state - Upper-case state name
+     * @property {string} name - County name as written in the CSV
+     * @property {CandidateTotal[]} candidates - Sorted by votes, highest first
+     * @property {string} modeResolution - 'TOTAL VOTES', 'TOTAL' or 'COMPONENTS' (summed vote modes)
+     * @property {?ModeBreakdown} modeBreakdown - Per-mode party votes, null when only totals are reported
+     * @property {?number} [reportedVotes] - The CSV's TOTAL VOTES CAST for the modes used, null when it has none
+     * @property {{sources: string[], note: string}} [crosswalk] - Set when the result was combined or
+     *     allocated through the FIPS crosswalk
+     */
+
+    /**
+     * One county on the map and the election-data counties that carry its votes for a range of years.
+     * `sources` maps data FIPS to the share of that county's votes allocated here: 1 for renames and
+     * merges, fractions when a data county is split across map counties.
+     * @typedef {Object} CrosswalkEntry
+     * @property {string} mapFips - County FIPS in the map topology
+     * @property {[number, ?number]} years - First and last election year (null: still current)
+     * @property {Object<string, number>} sources - Data FIPS -> share of its votes
+     * @property {string} [name] - Display name when votes are allocated from other units
+     * @property {string} [sourceName] - Only use a source whose county name matches (guards data errors)
+     * @property {string} note
+     */
+
+    /**
+     * Vote-mode category (see VOTE_MODE_CATEGORIES) -> party -> votes.
+     * @typedef {Object<string, Object<string, number>>} ModeBreakdown
+     */
+
+    /**
+     * @typedef {Object} StateModeBreakdown
+     * @property {?ModeBreakdown} breakdown - Null unless every county in the state reports modes
+     * @property {number} reporting - Counties with a mode breakdown
+     * @property {number} total - Counties with results
+     */
+
+    /**
+     * @typedef {Object} StateResult
+     * @property {string} winner
+     * @property {Object<string, number>} votes - Party -> votes
+     * @property {CandidateTotal[]} candidates - Sorted by votes, highest first
+     */
+
+    /**
+     * Data-quality checks for one state and year (see auditState). FIPS are 5-digit.
+     * @typedef {Object} StateAudit
+     * @property {string} year
+     * @property {string} state
+     * @property {Array<{fips: string, name: ?string}>} unmatchedCounties - Map counties with no result
+     * @property {Array<{fips: string, name: string, votes: number}>} unmappedResults - Results no map county draws
+     * @property {Array<{fips: string, name: string, modes: string[]}>} summedModes - Counties whose votes
+     *     are the sum of component vote modes (no TOTAL or TOTAL VOTES rows)
+     * @property {{derivedVotes: number, reportedVotes: ?number, comparedVotes: number, difference: ?number,
+     *     reportedCounties: number, counties: number}} totals - Votes summed from county results against the
+     *     CSV's TOTAL VOTES CAST rows; `comparedVotes` and `difference` cover only counties that have one
+     * @property {Array<{fips: string, name: string, derivedVotes: number, reportedVotes: number, difference: number}>}
+     *     totalMismatches - Counties whose candidate votes don't add up to their TOTAL VOTES CAST
+     */
+
+    /**
+     * Live results feed. County entries are running totals that replace the county's previous result.
+     * @typedef {Object} LiveFeed
+     * @property {string|number} year
+     * @property {string} [updated] - Feed timestamp; unchanged timestamps can be skipped
+     * @property {Array<{fips: string, state: string, name?: string, reporting?: number,
+     *     candidates: Array<{candidate: string, party: string, votes: number}>}>} counties
+     * @property {Array<{state: string, reporting: number}>} [states] - Optional statewide percent reporting
+     */
+
+    /**
+     * @typedef {Object} OutstandingCounty
+     * @property {string} fips
+     * @property {string} name
+     * @property {number} expectedVotes - Baseline-year total votes
+     * @property {number} reportedVotes
+     * @property {number} remainingVotes
+     * @property {?number} margin - Margin assumed for the remaining votes (points, Republican-positive)
+     * @property {string} marginSource - 'current' (county's counted votes) or 'swing' (baseline plus state swing)
+     */
+
+    /**
+     * @typedef {Object} OutstandingEstimate
+     * @property {string} state
+     * @property {string} baselineYear
+     * @property {number} expectedVotes
+     * @property {number} reportedVotes
+     * @property {number} expectedRemaining
+     * @property {?number} currentMargin - Margin of the votes counted so far
+     * @property {?number} projectedMargin
+     * @property {?number} marginLow - Low end of the uncertainty band
+     * @property {?number} marginHigh - High end of the uncertainty band
+     * @property {number} swing - Average shift from the baseline in reporting counties
+     * @property {OutstandingCounty[]} counties - Sorted by remaining votes, largest first
+     */
+
+    /**
+     * @typedef {Object} NationalTotals
+     * @property {Map<string, number>} votes - Party -> popular votes
+     * @property {Map<string, number>} stateWins - Party -> states won
+     * @property {CandidateTotal[]} candidates
+     * @property {number} totalVotes
+     */
+
+    /**
+     * @typedef {Object} ElectoralTally
+     * @property {Map<string, number>} totals - Party -> electoral votes
+     * @property {Map<string, Map<string, number>>} byState - State -> (party -> electoral votes)
+     * @property {?string} winner - Party with an outright majority, or null
+     * @property {number} votesToWin
+     * @property {number} totalAvailable
+     */
+
+    /**
+     * Results behind one map view, flattened for CSV/JSON download.
+     * @typedef {Object} ResultsTable
+     * @property {string} year
+     * @property {string} level - 'national', 'state', 'statewide' or 'county'
+     * @property {{fips?: string, name: string, state?: string, winner: string, margin: ?number,
+     *     totalVotes: number, reporting?: number}} area - The place being shown
+     * @property {string[]} columns - CSV column order
+     * @property {Object<string, (string|number|null)>[]} rows
+     */
+
+    // Alaska district FIPS to real Alaska borough FIPS mapping
+    const ALASKA_FIPS_MAPPING = {
+        '2001': '02240', '2002': '02290', '2003': '02180', '2004': '02188', '2005': '02185',
+        '2006': '02090', '2007': '02068', '2008': '02170', '2009': '02020', '2010': '02261',
+        '2011': '02122', '2012': '02150', '2013': '02164', '2014': '02060', '2015': '02070',
+        '2016': '02050', '2017': '02270', '2018': '02013', '2019': '02016', '2020': '02220',
+        '2021': '02100', '2022': '02110', '2023': '02230', '2024': '02282', '2025': '02275',
+        '2026': '02195', '2027': '02198', '2028': '02130', '2029': '02105', '2030': '02063',
+        '2031': '02066', '2032': '02158'
+    };
+
+    // County boundary changes between the election data and the map's county topology (us-atlas,
+    // 2010s vintage). Planning-region shares are approximate 2020-census population shares by town.
+    const FIPS_CROSSWALK = [
+        { mapFips: '46102', years: [2000, 2012], sources: { '46113': 1 }, note: 'Shannon County, SD renamed Oglala Lakota County in 2015' },
+        { mapFips: '51019', name: 'BEDFORD', years: [2000, 2012], sources: { '51019': 1, '51515': 1 }, note: 'Bedford city, VA merged into Bedford County in 2013' },
+        { mapFips: '02158', years: [2000, null], sources: { '02158': 1, '02270': 1 }, note: 'Wade Hampton Census Area, AK renamed Kusilvak in 2015' },
+        { mapFips: '02261', years: [2000, null], sources: { '02261': 1, '02063': 1, '02066': 1 }, note: 'Valdez-Cordova, AK split into Chugach and Copper River in 2019' },
+        { mapFips: '13211', years: [2024, 2024], sources: { '13209': 1 }, sourceName: 'MORGAN', note: 'Morgan County, GA reported under 13209 in the 2024 data' },
+        // Connecticut replaced its eight counties with nine planning regions in 2022
+        { mapFips: '09001', name: 'FAIRFIELD', years: [2022, null], sources: { '09120': 1, '09140': 0.09, '09190': 0.94 }, note: 'Connecticut planning regions (2022)' },
+        { mapFips: '09003', name: 'HARTFORD', years: [2022, null], sources: { '09110': 0.88, '09140': 0.14, '09160': 0.02 }, note: 'Connecticut planning regions (2022)' },
+        { mapFips: '09005', name: 'LITCHFIELD', years: [2022, null], sources: { '09140': 0.12, '09160': 0.98, '09190': 0.06 }, note: 'Connecticut planning regions (2022)' },
+        { mapFips: '09007', name: 'MIDDLESEX', years: [2022, null], sources: { '09130': 0.93 }, note: 'Connecticut planning regions (2022)' },
+        { mapFips: '09009', name: 'NEW HAVEN', years: [2022, null], sources: { '09140': 0.65, '09170': 1 }, note: 'Connecticut planning regions (2022)' },
+        { mapFips: '09011', name: 'NEW LONDON', years: [2022, null], sources: { '09130': 0.07, '09180': 0.91 }, note: 'Connecticut planning regions (2022)' },
+        { mapFips: '09013', name: 'TOLLAND', years: [2022, null], sources: { '09110': 0.12, '09150': 0.02 }, note: 'Connecticut planning regions (2022)' },
+        { mapFips: '09015', name: 'WINDHAM', years: [2022, null], sources: { '09150': 0.98, '09180': 0.09 }, note: 'Connecticut planning regions (2022)' }
+    ];
+
+    // Postal codes keyed by the upper-case state names used in the election data
+    const STATE_POSTAL_CODES = {
+        'ALABAMA': 'AL', 'ALASKA': 'AK', 'ARIZONA': 'AZ', 'ARKANSAS': 'AR', 'CALIFORNIA': 'CA',
+        'COLORADO': 'CO', 'CONNECTICUT': 'CT', 'DELAWARE': 'DE', 'DISTRICT OF COLUMBIA': 'DC',
+        'FLORIDA': 'FL', 'GEORGIA': 'GA', 'HAWAII': 'HI', 'IDAHO': 'ID', 'ILLINOIS': 'IL',
+        'INDIANA': 'IN', 'IOWA': 'IA', 'KANSAS': 'KS', 'KENTUCKY': 'KY', 'LOUISIANA': 'LA',
+        'MAINE': 'ME', 'MARYLAND': 'MD', 'MASSACHUSETTS': 'MA', 'MICHIGAN': 'MI', 'MINNESOTA': 'MN',
+        'MISSISSIPPI': 'MS', 'MISSOURI': 'MO', 'MONTANA': 'MT', 'NEBRASKA': 'NE', 'NEVADA': 'NV',
+        'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY',
+        'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND', 'OHIO': 'OH', 'OKLAHOMA': 'OK', 'OREGON': 'OR',
+        'PENNSYLVANIA': 'PA', 'RHODE ISLAND': 'RI', 'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD',
+        'TENNESSEE': 'TN', 'TEXAS': 'TX', 'UTAH': 'UT', 'VERMONT': 'VT', 'VIRGINIA': 'VA',
+        'WASHINGTON': 'WA', 'WEST VIRGINIA': 'WV', 'WISCONSIN': 'WI', 'WYOMING': 'WY'
+    };
+
+    // Electoral votes by apportionment census: 1990 census -> 2000 election,
+    // 2000 census -> 2004-2008, 2010 census -> 2012-2020, 2020 census -> 2024+
+    const ELECTORAL_VOTE_TABLES = {
+        '1990': {
+            AL: 9, AK: 3, AZ: 8, AR: 6, CA: 54, CO: 8, CT: 8, DE: 3, DC: 3, FL: 25, GA: 13, HI: 4, ID: 4,
+            IL: 22, IN: 12, IA: 7, KS: 6, KY: 8, LA: 9, ME: 4, MD: 10, MA: 12, MI: 18, MN: 10, MS: 7, MO: 11,
+            MT: 3, NE: 5, NV: 4, NH: 4, NJ: 15, NM: 5, NY: 33, NC: 14, ND: 3, OH: 21, OK: 8, OR: 7, PA: 23,
+            RI: 4, SC: 8, SD: 3, TN: 11, TX: 32, UT: 5, VT: 3, VA: 13, WA: 11, WV: 5, WI: 11, WY: 3
+        },
+        '2000': {
+            AL: 9, AK: 3, AZ: 10, AR: 6, CA: 55, CO: 9, CT: 7, DE: 3, DC: 3, FL: 27, GA: 15, HI: 4, ID: 4,
+            IL: 21, IN: 11, IA: 7, KS: 6, KY: 8, LA: 9, ME: 4, MD: 10, MA: 12, MI: 17, MN: 10, MS: 6, MO: 11,
+            MT: 3, NE: 5, NV: 5, NH: 4, NJ: 15, NM: 5, NY: 31, NC: 15, ND: 3, OH: 20, OK: 7, OR: 7, PA: 21,
+            RI: 4, SC: 8, SD: 3, TN: 11, TX: 34, UT: 5, VT: 3, VA: 13, WA: 11, WV: 5, WI: 10, WY: 3
+        },
+        '2010': {
+            AL: 9, AK: 3, AZ: 11, AR: 6, CA: 55, CO: 9, CT: 7, DE: 3, DC: 3, FL: 29, GA: 16, HI: 4, ID: 4,
+            IL: 20, IN: 11, IA: 6, KS: 6, KY: 8, LA: 8, ME: 4, MD: 10, MA: 11, MI: 16, MN: 10, MS: 6, MO: 10,
+            MT: 3, NE: 5, NV: 6, NH: 4, NJ: 14, NM: 5, NY: 29, NC: 15, ND: 3, OH: 18, OK: 7, OR: 7, PA: 20,
+            RI: 4, SC: 9, SD: 3, TN: 11, TX: 38, UT: 6, VT: 3, VA: 13, WA: 12, WV: 5, WI: 10, WY: 3
+        },
+        '2020': {
+            AL: 9, AK: 3, AZ: 11, AR: 6, CA: 54, CO: 10, CT: 7, DE: 3, DC: 3, FL: 30, GA: 16, HI: 4, ID: 4,
+            IL: 19, IN: 11, IA: 6, KS: 6, KY: 8, LA: 8, ME: 4, MD: 10, MA: 11, MI: 15, MN: 10, MS: 6, MO: 10,
+            MT: 4, NE: 5, NV: 6, NH: 4, NJ: 14, NM: 5, NY: 28, NC: 16, ND: 3, OH: 17, OK: 7, OR: 8, PA: 19,
+            RI: 4, SC: 9, SD: 3, TN: 11, TX: 40, UT: 6, VT: 3, VA: 13, WA: 12, WV: 4, WI: 10, WY: 3
+        }
+    };
+
+    // Maine and Nebraska award two at-large electors to the statewide winner and one per
+    // congressional district. The county-level CSV can't resolve districts, so district winners
+    // are recorded here; years not listed fall back to the statewide winner for every district.
+    const DISTRICT_ELECTORAL_RESULTS = {
+        'MAINE': {
+            '2000': ['DEMOCRAT', 'DEMOCRAT'], '2004': ['DEMOCRAT', 'DEMOCRAT'],
+            '2008': ['DEMOCRAT', 'DEMOCRAT'], '2012': ['DEMOCRAT', 'DEMOCRAT'],
+            '2016': ['DEMOCRAT', 'REPUBLICAN'], '2020': ['DEMOCRAT', 'REPUBLICAN'],
+            '2024': ['DEMOCRAT', 'REPUBLICAN']
+        },
+        'NEBRASKA': {
+            '2000': ['REPUBLICAN', 'REPUBLICAN', 'REPUBLICAN'], '2004': ['REPUBLICAN', 'REPUBLICAN', 'REPUBLICAN'],
+            '2008': ['REPUBLICAN', 'DEMOCRAT', 'REPUBLICAN'], '2012': ['REPUBLICAN', 'REPUBLICAN', 'REPUBLICAN'],
+            '2016': ['REPUBLICAN', 'REPUBLICAN', 'REPUBLICAN'], '2020': ['REPUBLICAN', 'DEMOCRAT', 'REPUBLICAN'],
+            '2024': ['REPUBLICAN', 'DEMOCRAT', 'REPUBLICAN']
+        }
+    };
+
+    // Vote-mode categories for the breakdown, in display order. Source modes vary by state and
+    // year ("ONE STOP", "ABSENTEE BY MAIL", "FAILSAFE PROVISIONAL"...) and are matched by keyword.
+    const VOTE_MODE_CATEGORIES = [
+        { key: 'EARLY', label: 'Early voting', keywords: ['EARLY', 'ONE STOP', 'IN-PERSON ABSENTEE'] },
+        { key: 'ELECTION DAY', label: 'Election day', keywords: ['ELECTION DAY', 'POLLING'] },
+        { key: 'MAIL', label: 'Absentee/mail', keywords: ['ABSENTEE', 'MAIL'] },
+        { key: 'PROVISIONAL', label: 'Provisional', keywords: ['PROVISIONAL'] },
+        { key: 'OTHER', label: 'Other', keywords: [] }
+    ];
+
+    // Assignments a state can be painted with in race-call mode; anything else is uncalled
+    const RACE_CALLS = ['REPUBLICAN', 'DEMOCRAT', 'TOSSUP'];
+
+    // Outstanding-vote estimator: the projected margin is re-run with the remaining votes' margins
+    // shifted by the county swing spread (never less than the floor, in points) and the remaining
+    // turnout off by the turnout fraction either way; the extremes form the uncertainty band
+    const OUTSTANDING_UNCERTAINTY = { marginFloor: 3, turnout: 0.1 };
+
+    // Major-party running mates; the CSV has no running mate column, so rows that
+    // supply a `running_mate` value take precedence over this table
+    const RUNNING_MATES = {
+        '2000': { REPUBLICAN: { nominee: 'BUSH', runningMate: 'Dick Cheney' }, DEMOCRAT: { nominee: 'GORE', runningMate: 'Joe Lieberman' } },
+        '2004': { REPUBLICAN: { nominee: 'BUSH', runningMate: 'Dick Cheney' }, DEMOCRAT: { nominee: 'KERRY', runningMate: 'John Edwards' } },
+        '2008': { REPUBLICAN: { nominee: 'MCCAIN', runningMate: 'Sarah Palin' }, DEMOCRAT: { nominee: 'OBAMA', runningMate: 'Joe Biden' } },
+        '2012': { REPUBLICAN: { nominee: 'ROMNEY', runningMate: 'Paul Ryan' }, DEMOCRAT: { nominee: 'OBAMA', runningMate: 'Joe Biden' } },
+        '2016': { REPUBLICAN: { nominee: 'TRUMP', runningMate: 'Mike Pence' }, DEMOCRAT: { nominee: 'CLINTON', runningMate: 'Tim Kaine' } },
+        '2020': { REPUBLICAN: { nominee: 'TRUMP', runningMate: 'Mike Pence' }, DEMOCRAT: { nominee: 'BIDEN', runningMate: 'Kamala Harris' } },
+        '2024': { REPUBLICAN: { nominee: 'TRUMP', runningMate: 'JD Vance' }, DEMOCRAT: { nominee: 'HARRIS', runningMate: 'Tim Walz' } }
+    };
+
+    class ElectionDataEngine {
+        constructor() {
+            // year -> state -> county FIPS -> CandidateTotal[] (after mode resolution)
+            this.electionData = new Map();
+            // year -> state -> StateResult
+            this.stateResults = new Map();
+            // year -> county FIPS -> CountyResult (Alaska keyed by borough FIPS)
+            this.countyResults = new Map();
+            // Map FIPS -> CrosswalkEntry[]; replace with setCrosswalk() to use another table
+            this.setCrosswalk(FIPS_CROSSWALK);
+        }
+
+        // CSV parsing (RFC 4180: quoted fields, doubled quotes, CRLF) for use outside d3.
+        // `onProgress` receives the fraction of the text parsed so far, every 10,000 lines.
+        static parseCsv(text, onProgress = null) {
+            const rows = [];
+            let field = '';
+            let row = [];
+            let inQuotes = false;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (inQuotes) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        inQuotes = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"') {
+                    inQuotes = true;
+                } else if (char === ',') {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                    if (onProgress && rows.length % 10000 === 0) onProgress(i / text.length);
+                } else {
+                    field += char;
+                }
+            }
+            if (field !== '' || row.length > 0) {
+                row.push(field);
+                rows.push(row);
+            }
+
+            const [header, ...records] = rows.filter(r => r.length > 1 || r[0] !== '');
+            if (!header) return [];
+            return records.map(record => {
+                const entry = {};
+                header.forEach((column, index) => {
+                    entry[column] = record[index] !== undefined ? record[index] : '';
+                });
+                return entry;
+            });
+        }
+
+        // CSV output for a results table (RFC 4180 quoting, the counterpart of parseCsv)
+        static formatCsv(columns, rows) {
+            const escape = value => {
+                const text = value === null || value === undefined ? '' : String(value);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            return [columns, ...rows.map(row => columns.map(column => row[column]))]
+                .map(values => values.map(escape).join(','))
+                .join('\n') + '\n';
+        }
+
+        // Row normalization
+        normalizeParty(party) {
+            const partyLower = (party || '').toLowerCase();
+            if (partyLower.includes('republican') || partyLower.includes('gop')) {
+                return 'REPUBLICAN';
+            } else if (partyLower.includes('democrat')) {
+                return 'DEMOCRAT';
+            } else {
+                // Return the actual party name instead of lumping into "OTHER"
+                return (party || '').toUpperCase().trim();
+            }
+        }
+
+        isOverUnderVote(candidateUpper) {
+            return candidateUpper === 'OVERVOTES' || candidateUpper === 'UNDERVOTES' ||
+                candidateUpper === 'OVER VOTES' || candidateUpper === 'UNDER VOTES' ||
+                candidateUpper.includes('OVERVOTE') || candidateUpper.includes('UNDERVOTE');
+        }
+
+        normalizeCountyFips(state, countyFips) {
+            // Rhode Island reports cities/towns with 10-digit FIPS; aggregate them to the county
+            if (state === 'RHODE ISLAND' && countyFips && countyFips.length === 10) {
+                return countyFips.substring(0, 5);
+            }
+            return countyFips;
+        }
+
+        getStorageFips(state, countyFips) {
+            // Alaska reports legislative districts; store them under the mapped borough FIPS
+            if (state === 'ALASKA' && ALASKA_FIPS_MAPPING[countyFips]) {
+                return ALASKA_FIPS_MAPPING[countyFips];
+            }
+            return countyFips;
+        }
+
+        aggregateRows(rows) {
+            // year -> state -> county -> { modes: mode -> candidateKey -> entry, reportedTotals: mode -> votes, name }
+            const rawData = new Map();
+
+            rows.forEach(d => {
+                const year = d.year;
+                const state = d.state;
+                const candidate = d.candidate;
+                const party = this.normalizeParty(d.party);
+                const votes = parseInt(d.candidatevotes);
+                const mode = d.mode || 'TOTAL';
+
+                // Skip header row and invalid data
+                if (year === 'year' || !d.county_fips || !votes || votes < 0) return;
+                if (!candidate) return;
+
+                const candidateUpper = candidate.toUpperCase().trim();
+                if (this.isOverUnderVote(candidateUpper)) return;
+
+                const county = this.normalizeCountyFips(state, d.county_fips);
+
+                if (!rawData.has(year)) rawData.set(year, new Map());
+                if (!rawData.get(year).has(state)) rawData.get(year).set(state, new Map());
+                if (!rawData.get(year).get(state).has(county)) {
+                    rawData.get(year).get(state).set(county, { modes: new Map(), reportedTotals: new Map(), name: d.county_name });
+                }
+
+                const countyData = rawData.get(year).get(state).get(county);
+
+                // The CSV's own county total isn't a candidate; it's kept to audit the summed votes against
+                if (candidateUpper === 'TOTAL VOTES CAST') {
+                    countyData.reportedTotals.set(mode, (countyData.reportedTotals.get(mode) || 0) + votes);
+                    return;
+                }
+
+                if (!countyData.modes.has(mode)) countyData.modes.set(mode, new Map());
+
+                // Track each candidate separately so independents sharing a party label stay distinct
+                const candidateKey = `${party}|${candidateUpper}`;
+                const modeVotes = countyData.modes.get(mode);
+                if (!modeVotes.has(candidateKey)) {
+                    modeVotes.set(candidateKey, { candidate: candidateUpper, party: party, runningMate: d.running_mate || null, votes: 0 });
+                }
+                modeVotes.get(candidateKey).votes += votes;
+            });
+
+            return rawData;
+        }
+
+        resolveModes(modes) {
+            // Prefer TOTAL VOTES > TOTAL > sum of component modes, so totals are never double counted
+            const finalVotes = new Map();
+            let resolution;
+
+            if (modes.has('TOTAL VOTES')) {
+                resolution = 'TOTAL VOTES';
+            } else if (modes.has('TOTAL')) {
+                resolution = 'TOTAL';
+            } else {
+                resolution = 'COMPONENTS';
+            }
+
+            const modesToUse = resolution === 'COMPONENTS' ? Array.from(modes.keys()) : [resolution];
+            modesToUse.forEach(mode => {
+                modes.get(mode).forEach((entry, candidateKey) => {
+                    if (finalVotes.has(candidateKey)) {
+                        finalVotes.get(candidateKey).votes += entry.votes;
+                    } else {
+                        finalVotes.set(candidateKey, { ...entry });
+                    }
+                });
+            });
+
+            return { finalVotes, resolution };
+        }
+
+        resolveReportedVotes(reportedTotals, resolution) {
+            // TOTAL VOTES CAST for the same modes the candidate votes came from
+            if (resolution !== 'COMPONENTS') {
+                return reportedTotals.has(resolution) ? reportedTotals.get(resolution) : null;
+            }
+            if (reportedTotals.size === 0) return null;
+            return Array.from(reportedTotals.values()).reduce((a, b) => a + b, 0);
+        }
+
+        getVoteModeCategory(mode) {
+            // Provisional first: "FAILSAFE PROVISIONAL" and "PROVISIONAL ABSENTEE" are provisional ballots
+            const modeUpper = mode.toUpperCase();
+            if (modeUpper.includes('PROV')) return 'PROVISIONAL';
+            const category = VOTE_MODE_CATEGORIES.find(entry =>
+                entry.keywords.some(keyword => modeUpper.includes(keyword)));
+            return category ? category.key : 'OTHER';
+        }
+
+        /** @returns {?ModeBreakdown} */
+        buildModeBreakdown(modes) {
+            // Component modes only; a county reporting just TOTAL/TOTAL VOTES has no breakdown
+            const breakdown = {};
+            modes.forEach((modeVotes, mode) => {
+                if (mode === 'TOTAL VOTES' || mode === 'TOTAL') return;
+                const category = this.getVoteModeCategory(mode);
+                if (!breakdown[category]) breakdown[category] = {};
+                modeVotes.forEach(entry => {
+                    breakdown[category][entry.party] = (breakdown[category][entry.party] || 0) + entry.votes;
+                });
+            });
+            return Object.keys(breakdown).length > 0 ? breakdown : null;
+        }
+
+        // Candidates
+        buildCandidateArray(finalVotes, countyName, year) {
+            const candidateArray = [];
+            finalVotes.forEach(entry => {
+                candidateArray.push({
+                    candidate: this.formatCandidateName(entry.candidate),
+                    party: entry.party,
+                    runningMate: entry.runningMate || this.getRunningMate(year, entry.party, entry.candidate),
+                    votes: entry.votes,
+                    countyName: countyName,
+                    mode: 'PROCESSED'
+                });
+            });
+            return candidateArray.sort((a, b) => b.votes - a.votes);
+        }
+
+        formatCandidateName(name) {
+            // "DONALD J TRUMP" -> "Donald J. Trump", "JOSEPH R BIDEN JR" -> "Joseph R. Biden Jr."
+            const specialNames = { 'WRITEIN': 'Write-in', 'WRITE-IN': 'Write-in', 'OTHER': 'Other' };
+            const upperName = name.toUpperCase().trim();
+            if (specialNames[upperName]) return specialNames[upperName];
+
+            return upperName.split(/\s+/).map(word => {
+                if (/^[A-Z]\.?$/.test(word)) return `${word.charAt(0)}.`;
+                if (word === 'JR' || word === 'SR') return `${word.charAt(0)}${word.charAt(1).toLowerCase()}.`;
+                if (/^(II|III|IV)$/.test(word)) return word;
+                return word.toLowerCase()
+                    .replace(/(^|[-'])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase())
+                    .replace(/^Mc([a-z])/, (match, letter) => `Mc${letter.toUpperCase()}`);
+            }).join(' ');
+        }
+
+        getRunningMate(year, party, candidate) {
+            // Only the major-party nominee gets the ticket's running mate, not write-ins under the same label
+            const ticket = RUNNING_MATES[year]?.[party];
+            if (!ticket || !candidate.toUpperCase().includes(ticket.nominee)) return null;
+            return ticket.runningMate;
+        }
+
+        addCandidateVotes(candidateTotals, candidate) {
+            // Roll a candidate's votes into a Map keyed by party + name
+            const candidateKey = `${candidate.party}|${candidate.candidate}`;
+            if (!candidateTotals.has(candidateKey)) {
+                candidateTotals.set(candidateKey, {
+                    candidate: candidate.candidate,
+                    party: candidate.party,
+                    runningMate: candidate.runningMate,
+                    votes: 0
+                });
+            }
+            candidateTotals.get(candidateKey).votes += candidate.votes;
+        }
+
+        getLeadingCandidate(candidates, party) {
+            // Candidates are sorted by votes, so the first match is the party's top vote-getter
+            return (candidates || []).find(candidate => candidate.party === party) || null;
+        }
+
+        determineWinner(votes) {
+            let maxVotes = 0;
+            let winner = 'UNKNOWN';
+
+            // Handle both Map objects and regular objects for backwards compatibility
+            const entries = votes instanceof Map ? votes.entries() : Object.entries(votes);
+
+            for (const [party, voteCount] of entries) {
+                if (voteCount > maxVotes) {
+                    maxVotes = voteCount;
+                    winner = party;
+                }
+            }
+
+            return winner;
+        }
+
+        // Processing
+        processYearRows(rows) {
+            // Full processing for every year in `rows`: county and state results
+            this.processRows(rows, { targetState: null, updateStateResults: true });
+        }
+
+        processStateRows(rows, year, stateName) {
+            // County results for one state+year; state totals are left untouched
+            this.processRows(rows.filter(d => d.year === year), { targetState: stateName, updateStateResults: false });
+        }
+
+        processRows(rows, { targetState, updateStateResults }) {
+            const rawData = this.aggregateRows(rows);
+
+            rawData.forEach((yearData, year) => {
+                if (!this.electionData.has(year)) this.electionData.set(year, new Map());
+                if (!this.countyResults.has(year)) this.countyResults.set(year, new Map());
+                if (!this.stateResults.has(year)) this.stateResults.set(year, new Map());
+
+                yearData.forEach((stateData, state) => {
+                    if (targetState && state !== targetState) return;
+                    if (!this.electionData.get(year).has(state)) this.electionData.get(year).set(state, new Map());
+
+                    const stateVotes = new Map();
+                    const stateCandidates = new Map();
+
+                    stateData.forEach((countyData, county) => {
+                        if (countyData.modes.size === 0) return; // Only a TOTAL VOTES CAST row
+                        const { finalVotes, resolution } = this.resolveModes(countyData.modes);
+                        const candidateArray = this.buildCandidateArray(finalVotes, countyData.name, year);
+                        this.electionData.get(year).get(state).set(county, candidateArray);
+
+                        const countyVotes = new Map();
+                        candidateArray.forEach(candidate => {
+                            countyVotes.set(candidate.party, (countyVotes.get(candidate.party) || 0) + candidate.votes);
+                            stateVotes.set(candidate.party, (stateVotes.get(candidate.party) || 0) + candidate.votes);
+                            this.addCandidateVotes(stateCandidates, candidate);
+                        });
+
+                        this.countyResults.get(year).set(this.getStorageFips(state, county), {
+                            winner: this.determineWinner(countyVotes),
+                            votes: Object.fromEntries(countyVotes),
+                            state: state,
+                            name: countyData.name || 'Unknown County',
+                            candidates: candidateArray,
+                            modeResolution: resolution,
+                            modeBreakdown: this.buildModeBreakdown(countyData.modes),
+                            reportedVotes: this.resolveReportedVotes(countyData.reportedTotals, resolution)
+                        });
+                    });
+
+                    if (updateStateResults) {
+                        this.stateResults.get(year).set(state, {
+                            winner: this.determineWinner(stateVotes),
+                            votes: Object.fromEntries(stateVotes),
+                            candidates: Array.from(stateCandidates.values()).sort((a, b) => b.votes - a.votes)
+                        });
+                    }
+                });
+            });
+        }
+
+        // Live results
+        /**
+         * Merge a live feed into its year and re-aggregate every state it touches from that state's counties.
+         * County and state results carry `reporting`, the percent of expected vote counted.
+         * @param {LiveFeed} feed
+         * @returns {string[]} States whose results changed
+         */
+        applyLiveResults(feed) {
+            const year = String(feed.year);
+            if (!this.electionData.has(year)) this.electionData.set(year, new Map());
+            if (!this.countyResults.has(year)) this.countyResults.set(year, new Map());
+            if (!this.stateResults.has(year)) this.stateResults.set(year, new Map());
+
+            const changedStates = new Set();
+            (feed.counties || []).forEach(entry => {
+                const state = (entry.state || '').toUpperCase().trim();
+                const county = this.normalizeCountyFips(state, String(entry.fips || ''));
+                if (!state || !county) return;
+
+                const finalVotes = new Map();
+                (entry.candidates || []).forEach(candidate => {
+                    const votes = parseInt(candidate.votes);
+                    if (!candidate.candidate || !votes || votes < 0) return;
+                    const party = this.normalizeParty(candidate.party);
+                    const candidateUpper = candidate.candidate.toUpperCase().trim();
+                    const candidateKey = `${party}|${candidateUpper}`;
+                    if (!finalVotes.has(candidateKey)) {
+                        finalVotes.set(candidateKey, { candidate: candidateUpper, party, runningMate: candidate.running_mate || null, votes: 0 });
+                    }
+                    finalVotes.get(candidateKey).votes += votes;
+                });
+
+                const candidateArray = this.buildCandidateArray(finalVotes, entry.name, year);
+                const countyVotes = new Map();
+                candidateArray.forEach(candidate => {
+                    countyVotes.set(candidate.party, (countyVotes.get(candidate.party) || 0) + candidate.votes);
+                });
+
+                // Replace the county under the key the CSV stored it with ("1001" for a feed's "01001")
+                if (!this.electionData.get(year).has(state)) this.electionData.get(year).set(state, new Map());
+                const stateData = this.electionData.get(year).get(state);
+                const storageFips = this.getStorageFips(state, county);
+                const dataKey = this.getCountyFipsFormats(county).find(format => stateData.has(format)) || county;
+                const resultKey = this.getCountyFipsFormats(storageFips)
+                    .find(format => this.countyResults.get(year).get(format)?.state === state) || storageFips;
+                stateData.set(dataKey, candidateArray);
+                this.countyResults.get(year).set(resultKey, {
+                    winner: this.determineWinner(countyVotes),
+                    votes: Object.fromEntries(countyVotes),
+                    state: state,
+                    name: entry.name || 'Unknown County',
+                    candidates: candidateArray,
+                    modeResolution: 'TOTAL',
+                    modeBreakdown: null,
+                    reporting: this.clampReporting(entry.reporting)
+                });
+                changedStates.add(state);
+            });
+
+            const stateReporting = new Map();
+            (feed.states || []).forEach(entry => {
+                const state = (entry.state || '').toUpperCase().trim();
+                if (!state) return;
+                stateReporting.set(state, this.clampReporting(entry.reporting));
+                changedStates.add(state);
+            });
+
+            changedStates.forEach(state => this.aggregateStateFromCounties(year, state, stateReporting.get(state)));
+            return Array.from(changedStates);
+        }
+
+        clampReporting(reporting) {
+            const percent = parseFloat(reporting);
+            return isNaN(percent) ? 100 : Math.min(100, Math.max(0, percent));
+        }
+
+        aggregateStateFromCounties(year, stateName, reportingOverride = undefined) {
+            // Without a statewide figure, reporting is estimated as counted votes over expected votes,
+            // where each county's expected vote is its count scaled up by its own percent reporting
+            const stateVotes = new Map();
+            const stateCandidates = new Map();
+            let countedVotes = 0;
+            let expectedVotes = 0;
+            let hasReporting = false;
+
+            this.getStateCountyResults(year, stateName).forEach(([, result]) => {
+                result.candidates.forEach(candidate => {
+                    stateVotes.set(candidate.party, (stateVotes.get(candidate.party) || 0) + candidate.votes);
+                    this.addCandidateVotes(stateCandidates, candidate);
+                });
+                const countyVotes = Object.values(result.votes).reduce((a, b) => a + b, 0);
+                countedVotes += countyVotes;
+                if (result.reporting !== undefined) {
+                    hasReporting = true;
+                    if (result.reporting > 0) expectedVotes += countyVotes / (result.reporting / 100);
+                } else {
+                    expectedVotes += countyVotes;
+                }
+            });
+
+            const stateResult = {
+                winner: this.determineWinner(stateVotes),
+                votes: Object.fromEntries(stateVotes),
+                candidates: Array.from(stateCandidates.values()).sort((a, b) => b.votes - a.votes)
+            };
+            if (reportingOverride !== undefined) {
+                stateResult.reporting = reportingOverride;
+            } else if (hasReporting) {
+                stateResult.reporting = expectedVotes > 0 ? Math.min(100, (countedVotes / expectedVotes) * 100) : 0;
+            }
+            this.stateResults.get(year).set(stateName, stateResult);
+        }
+
+        // Transfer: plain [key, value] arrays that survive structured cloning (Web Worker messages)
+        exportResults(year, stateName = null) {
+            const inState = ([, result]) => !stateName || result.state === stateName;
+            return {
+                stateResults: Array.from(this.stateResults.get(year)?.entries() || [])
+                    .filter(([state]) => !stateName || state === stateName),
+                countyResults: Array.from(this.countyResults.get(year)?.entries() || []).filter(inState),
+                electionData: Array.from(this.electionData.get(year)?.entries() || [])
+                    .filter(([state]) => !stateName || state === stateName)
+                    .map(([state, counties]) => [state, Array.from(counties.entries())])
+            };
+        }
+
+        importResults(year, { stateResults = [], countyResults = [], electionData = [] }) {
+            if (!this.electionData.has(year)) this.electionData.set(year, new Map());
+            if (!this.countyResults.has(year)) this.countyResults.set(year, new Map());
+            if (!this.stateResults.has(year)) this.stateResults.set(year, new Map());
+
+            stateResults.forEach(([state, result]) => this.stateResults.get(year).set(state, result));
+            countyResults.forEach(([fips, result]) => this.countyResults.get(year).set(fips, result));
+            electionData.forEach(([state, counties]) => this.electionData.get(year).set(state, new Map(counties)));
+        }
+
+        // Queries
+        /** @returns {Map<string, StateResult>} */
+        getYearStateResults(year) {
+            return this.stateResults.get(year) || new Map();
+        }
+
+        /** @returns {?StateResult} */
+        getStateTotals(year, stateName) {
+            return this.stateResults.get(year)?.get(stateName) || null;
+        }
+
+        /** @returns {?CountyResult} */
+        getCountyTotals(year, countyFips) {
+            return this.countyResults.get(year)?.get(countyFips) || null;
+        }
+
+        /** @returns {Array<[string, CountyResult]>} FIPS/result pairs for one state */
+        getStateCountyResults(year, stateName) {
+            return Array.from(this.countyResults.get(year)?.entries() || [])
+                .filter(([, result]) => result.state === stateName);
+        }
+
+        /** @returns {?string} */
+        getStateWinner(year, stateName) {
+            return this.getStateTotals(year, stateName)?.winner || null;
+        }
+
+        /** @returns {?string} */
+        getCountyWinner(year, countyFips) {
+            return this.getCountyTotals(year, countyFips)?.winner || null;
+        }
+
+        /** @returns {Map<string, number>} Party -> counties won within a state */
+        getCountyWins(year, stateName) {
+            const countyWins = new Map();
+            this.getStateCountyResults(year, stateName).forEach(([, result]) => {
+                countyWins.set(result.winner, (countyWins.get(result.winner) || 0) + 1);
+            });
+            return countyWins;
+        }
+
+        /** @returns {StateModeBreakdown} */
+        getStateModeBreakdown(year, stateName) {
+            // Summed across counties only when all of them report modes, so partial coverage isn't mistaken for a statewide split
+            const countyResults = this.getStateCountyResults(year, stateName);
+            const reporting = countyResults.filter(([, result]) => result.modeBreakdown);
+            if (countyResults.length === 0 || reporting.length < countyResults.length) {
+                return { breakdown: null, reporting: reporting.length, total: countyResults.length };
+            }
+
+            const breakdown = {};
+            reporting.forEach(([, result]) => {
+                Object.entries(result.modeBreakdown).forEach(([category, partyVotes]) => {
+                    if (!breakdown[category]) breakdown[category] = {};
+                    Object.entries(partyVotes).forEach(([party, votes]) => {
+                        breakdown[category][party] = (breakdown[category][party] || 0) + votes;
+                    });
+                });
+            });
+            return { breakdown, reporting: reporting.length, total: countyResults.length };
+        }
+
+        /** @returns {NationalTotals} */
+        getNationalTotals(year) {
+            const votes = new Map();
+            const stateWins = new Map();
+
+            this.getYearStateResults(year).forEach(result => {
+                Object.entries(result.votes).forEach(([party, partyVotes]) => {
+                    votes.set(party, (votes.get(party) || 0) + partyVotes);
+                });
+                stateWins.set(result.winner, (stateWins.get(result.winner) || 0) + 1);
+            });
+
+            return {
+                votes,
+                stateWins,
+                candidates: this.getNationalCandidates(year),
+                totalVotes: Array.from(votes.values()).reduce((a, b) => a + b, 0)
+            };
+        }
+
+        /** @returns {CandidateTotal[]} */
+        getNationalCandidates(year) {
+            const nationalCandidates = new Map();
+            this.getYearStateResults(year).forEach(result => {
+                (result.candidates || []).forEach(candidate => this.addCandidateVotes(nationalCandidates, candidate));
+            });
+            return Array.from(nationalCandidates.values()).sort((a, b) => b.votes - a.votes);
+        }
+
+        /** @returns {?number} Republican-positive two-party margin in points, null without major-party votes */
+        getTwoPartyMargin(result) {
+            const republican = result.votes.REPUBLICAN || 0;
+            const democrat = result.votes.DEMOCRAT || 0;
+            if (republican + democrat === 0) return null;
+            return ((republican - democrat) / (republican + democrat)) * 100;
+        }
+
+        // What-if scenarios
+        /**
+         * A new engine holding a simulated copy of `year`: every state and county shifted by a swing in
+         * two-party margin (points, Republican-positive; per-state values override the uniform one) and
+         * every party's votes scaled by `turnoutChange` percent. This engine's results are not modified.
+         * @param {{uniformSwing?: number, stateSwings?: Object<string, number>, turnoutChange?: number}} options
+         * @returns {ElectionDataEngine}
+         */
+        simulateScenario(year, { uniformSwing = 0, stateSwings = {}, turnoutChange = 0 } = {}) {
+            const scenario = new ElectionDataEngine();
+            const turnoutFactor = Math.max(0, 1 + turnoutChange / 100);
+            const getSwing = stateName => stateSwings[stateName] ?? uniformSwing;
+
+            const stateResults = new Map();
+            this.getYearStateResults(year).forEach((result, stateName) => {
+                stateResults.set(stateName, this.applyScenario(result, getSwing(stateName), turnoutFactor));
+            });
+            const countyResults = new Map();
+            (this.countyResults.get(year) || new Map()).forEach((result, fips) => {
+                countyResults.set(fips, this.applyScenario(result, getSwing(result.state), turnoutFactor));
+            });
+
+            scenario.stateResults.set(year, stateResults);
+            scenario.countyResults.set(year, countyResults);
+            scenario.electionData.set(year, new Map());
+            return scenario;
+        }
+
+        applyScenario(result, swing, turnoutFactor) {
+            const votes = {};
+            Object.entries(result.votes).forEach(([party, partyVotes]) => {
+                votes[party] = partyVotes * turnoutFactor;
+            });
+
+            // A margin swing of N points moves N/2 points of two-party share between the major parties.
+            // Places without both major parties on the ballot only get the turnout change.
+            const republican = result.votes.REPUBLICAN || 0;
+            const democrat = result.votes.DEMOCRAT || 0;
+            if (republican > 0 && democrat > 0) {
+                const twoParty = republican + democrat;
+                const republicanShare = Math.min(1, Math.max(0, republican / twoParty + swing / 200));
+                votes.REPUBLICAN = twoParty * republicanShare * turnoutFactor;
+                votes.DEMOCRAT = twoParty * (1 - republicanShare) * turnoutFactor;
+            }
+            Object.keys(votes).forEach(party => {
+                votes[party] = Math.round(votes[party]);
+            });
+
+            // Candidates keep their share of their party's vote
+            const candidates = (result.candidates || []).map(candidate => ({
+                ...candidate,
+                votes: Math.round(candidate.votes * (votes[candidate.party] / result.votes[candidate.party]))
+            })).sort((a, b) => b.votes - a.votes);
+
+            return {
+                ...result,
+                votes,
+                candidates,
+                winner: this.determineWinner(votes),
+                modeBreakdown: null, // Vote modes aren't simulated
+                simulated: true
+            };
+        }
+
+        // Race calls ("call the race" paint mode)
+        /**
+         * Electoral votes for hand-called states, apportioned as of `year`. Maine and Nebraska are
+         * called as a whole unless `splits` gives their electoral votes by party (see getRaceCallSplits);
+         * states missing from `calls` count as uncalled.
+         * @param {Object<string, string>} calls - State name -> 'REPUBLICAN' | 'DEMOCRAT' | 'TOSSUP'
+         * @param {Object<string, Object<string, number>>} [splits] - State name -> party -> electoral votes
+         * @returns {ElectoralTally & {uncalled: number}}
+         */
+        tallyRaceCalls(calls, year, splits = {}) {
+            const totals = new Map(RACE_CALLS.map(call => [call, 0]));
+            const byState = new Map();
+            let uncalled = 0;
+
+            Object.keys(STATE_POSTAL_CODES).forEach(stateName => {
+                const electoralVotes = this.getStateElectoralVotes(stateName, year);
+                const call = calls[stateName];
+                if (RACE_CALLS.includes(call) && splits[stateName]) {
+                    const allocation = new Map(Object.entries(splits[stateName]));
+                    allocation.forEach((partyVotes, party) => totals.set(party, (totals.get(party) || 0) + partyVotes));
+                    byState.set(stateName, allocation);
+                } else if (RACE_CALLS.includes(call)) {
+                    totals.set(call, totals.get(call) + electoralVotes);
+                    byState.set(stateName, new Map([[call, electoralVotes]]));
+                } else {
+                    uncalled += electoralVotes;
+                }
+            });
+
+            const totalAvailable = Object.values(this.getElectoralVoteTable(year)).reduce((a, b) => a + b, 0);
+            const votesToWin = Math.floor(totalAvailable / 2) + 1;
+            const winner = ['REPUBLICAN', 'DEMOCRAT'].find(party => totals.get(party) >= votesToWin) || null;
+
+            return { totals, byState, winner, votesToWin, totalAvailable, uncalled };
+        }
+
+        /** @returns {Object<string, string>} Race calls matching a year's actual state winners */
+        getRaceCallsFromResults(year) {
+            const calls = {};
+            this.getYearStateResults(year).forEach((result, stateName) => {
+                if (RACE_CALLS.includes(result.winner)) calls[stateName] = result.winner;
+            });
+            return calls;
+        }
+
+        /** @returns {Object<string, Object<string, number>>} Electoral votes by party in states that split them in `year` */
+        getRaceCallSplits(year) {
+            const splits = {};
+            this.getElectoralVotes(year).byState.forEach((allocation, stateName) => {
+                if (allocation.size > 1) splits[stateName] = Object.fromEntries(allocation);
+            });
+            return splits;
+        }
+
+        // Outstanding-vote estimator
+        /**
+         * Partial results CSV (`county_fips,party,votes`, one row per party) as county FIPS -> party -> votes.
+         * `candidatevotes` is accepted in place of `votes`; rows for the same county and party are added.
+         * @returns {Map<string, Object<string, number>>}
+         */
+        parsePartialResults(text) {
+            const partial = new Map();
+            ElectionDataEngine.parseCsv(text).forEach(row => {
+                const fips = (row.county_fips || '').trim();
+                const votes = parseInt(row.votes ?? row.candidatevotes);
+                if (!/^\d+$/.test(fips) || isNaN(votes) || votes < 0) return;
+
+                // No state column: Rhode Island town and Alaska district FIPS are folded as the CSV folds them
+                const county = this.getCanonicalFips(this.getStorageFips('ALASKA', this.normalizeCountyFips('RHODE ISLAND', fips)));
+                const party = this.normalizeParty(row.party);
+                if (!partial.has(county)) partial.set(county, {});
+                partial.get(county)[party] = (partial.get(county)[party] || 0) + votes;
+            });
+            return partial;
+        }
+
+        /**
+         * Projects final state margins from partial county results, using each county's total votes in
+         * `baselineYear` as its expected turnout. Counties with votes counted are assumed to keep their
+         * current margin; counties with none are assumed to move from their baseline margin by the
+         * vote-weighted swing seen in the state's reporting counties.
+         * @param {Map<string, Object<string, number>>} partial - County FIPS -> party -> votes counted
+         * @returns {{states: Map<string, OutstandingEstimate>, unmatched: string[]}}
+         */
+        estimateOutstandingVote(partial, baselineYear) {
+            // Partial counties are keyed by canonical FIPS; baseline keys follow the CSV ("1001")
+            const baseline = this.countyResults.get(baselineYear) || new Map();
+            const baselineKeys = new Map(Array.from(baseline.keys(), fips => [this.getCanonicalFips(fips), fips]));
+            const unmatched = Array.from(partial.keys()).filter(fips => !baselineKeys.has(fips));
+            const reportingStates = new Set(Array.from(partial.keys())
+                .filter(fips => baselineKeys.has(fips))
+                .map(fips => baseline.get(baselineKeys.get(fips)).state));
+
+            const states = new Map();
+            reportingStates.forEach(stateName => {
+                const counties = this.getStateCountyResults(baselineYear, stateName).map(([fips, result]) => {
+                    const current = partial.get(this.getCanonicalFips(fips)) || null;
+                    return {
+                        fips,
+                        name: result.name,
+                        baselineVotes: result.votes,
+                        current: current || {},
+                        priorMargin: this.getTwoPartyMargin(result),
+                        currentMargin: current ? this.getTwoPartyMargin({ votes: current }) : null
+                    };
+                });
+                states.set(stateName, this.buildOutstandingEstimate(stateName, baselineYear, counties));
+            });
+            return { states, unmatched };
+        }
+
+        buildOutstandingEstimate(stateName, baselineYear, counties) {
+            const sumVotes = votes => Object.values(votes).reduce((a, b) => a + b, 0);
+            const twoPartyVotes = votes => (votes.REPUBLICAN || 0) + (votes.DEMOCRAT || 0);
+
+            // Vote-weighted swing from the baseline, and its spread, across counties reporting both parties
+            let weight = 0;
+            let swingTotal = 0;
+            counties.forEach(county => {
+                if (county.currentMargin === null || county.priorMargin === null) return;
+                const countyWeight = sumVotes(county.current);
+                weight += countyWeight;
+                swingTotal += countyWeight * (county.currentMargin - county.priorMargin);
+            });
+            const swing = weight > 0 ? swingTotal / weight : 0;
+            let variance = 0;
+            counties.forEach(county => {
+                if (county.currentMargin === null || county.priorMargin === null) return;
+                variance += sumVotes(county.current) * (county.currentMargin - county.priorMargin - swing) ** 2;
+            });
+            const spread = Math.max(OUTSTANDING_UNCERTAINTY.marginFloor, weight > 0 ? Math.sqrt(variance / weight) : 0);
+
+            let currentDifference = 0;
+            let currentTwoParty = 0;
+            const outstanding = counties.map(county => {
+                const expectedVotes = sumVotes(county.baselineVotes);
+                const reportedVotes = sumVotes(county.current);
+                const remainingVotes = Math.max(0, expectedVotes - reportedVotes);
+                currentDifference += (county.current.REPUBLICAN || 0) - (county.current.DEMOCRAT || 0);
+                currentTwoParty += twoPartyVotes(county.current);
+
+                const marginSource = county.currentMargin !== null ? 'current' : 'swing';
+                const margin = marginSource === 'current'
+                    ? county.currentMargin
+                    : (county.priorMargin === null ? null : Math.min(100, Math.max(-100, county.priorMargin + swing)));
+
+                // Remaining votes split between the major parties at the county's current (or baseline) rate
+                const shareSource = reportedVotes > 0 ? county.current : county.baselineVotes;
+                const sourceVotes = sumVotes(shareSource);
+                const remainingTwoParty = sourceVotes > 0 ? remainingVotes * twoPartyVotes(shareSource) / sourceVotes : 0;
+
+                return { fips: county.fips, name: county.name, expectedVotes, reportedVotes, remainingVotes, margin, marginSource, remainingTwoParty };
+            });
+
+            const project = (marginShift, turnoutFactor) => {
+                let difference = currentDifference;
+                let twoParty = currentTwoParty;
+                outstanding.forEach(county => {
+                    if (county.margin === null) return;
+                    const remaining = county.remainingTwoParty * turnoutFactor;
+                    const margin = Math.min(100, Math.max(-100, county.margin + marginShift));
+                    difference += remaining * margin / 100;
+                    twoParty += remaining;
+                });
+                return twoParty > 0 ? (difference / twoParty) * 100 : null;
+            };
+
+            const projectedMargin = project(0, 1);
+            const bounds = [];
+            [-spread, spread].forEach(shift => {
+                [1 - OUTSTANDING_UNCERTAINTY.turnout, 1 + OUTSTANDING_UNCERTAINTY.turnout].forEach(factor => {
+                    const margin = project(shift, factor);
+                    if (margin !== null) bounds.push(margin);
+                });
+            });
+
+            return {
+                state: stateName,
+                baselineYear,
+                expectedVotes: outstanding.reduce((total, county) => total + county.expectedVotes, 0),
+                reportedVotes: outstanding.reduce((total, county) => total + county.reportedVotes, 0),
+                expectedRemaining: outstanding.reduce((total, county) => total + county.remainingVotes, 0),
+                currentMargin: currentTwoParty > 0 ? (currentDifference / currentTwoParty) * 100 : null,
+                projectedMargin,
+                marginLow: bounds.length ? Math.min(...bounds) : null,
+                marginHigh: bounds.length ? Math.max(...bounds) : null,
+                swing,
+                counties: outstanding
+                    .map(({ remainingTwoParty, ...county }) => county)
+                    .sort((a, b) => b.remainingVotes - a.remainingVotes)
+            };
+        }
+
+        // Results export
+        /**
+         * The results behind one map view as a flat table, built from the same state and county results
+         * the map draws (so Rhode Island towns are already summed and Alaska districts are under borough
+         * FIPS). National and state views list party totals, the statewide view lists every county and a
+         * county view lists its candidates. Shares and margins are percentages to two decimals.
+         * @param {{level?: string, stateName?: string, countyFips?: string}} view
+         * @returns {ResultsTable}
+         */
+        getResultsTable(year, { level = 'national', stateName = null, countyFips = null } = {}) {
+            switch (level) {
+                case 'national':
+                    return this.getNationalResultsTable(year);
+                case 'state':
+                    return this.getStateResultsTable(year, stateName);
+                case 'statewide':
+                    return this.getStatewideResultsTable(year, stateName);
+                case 'county':
+                    return this.getCountyResultsTable(year, countyFips);
+                default:
+                    throw new Error(`Unknown results level: ${level}`);
+            }
+        }
+
+        getNationalResultsTable(year) {
+            const national = this.getNationalTotals(year);
+            const electoral = this.getElectoralVotes(year);
+            const votes = Object.fromEntries(national.votes);
+            // Electoral-vote winner when there is one, as in the sidebar; otherwise the popular-vote leader
+            const winner = electoral.winner || this.determineWinner(votes);
+            const area = { name: 'United States', winner, margin: this.getExportMargin(votes, winner), totalVotes: national.totalVotes };
+            const rows = this.getPartyRows(votes, national.candidates).map(row => ({
+                name: area.name,
+                ...row,
+                states_won: national.stateWins.get(row.party) || 0,
+                electoral_votes: electoral.totals.get(row.party) || 0,
+                winner,
+                margin: area.margin
+            }));
+            const columns = ['name', 'party', 'candidate', 'votes', 'share', 'states_won', 'electoral_votes', 'winner', 'margin'];
+            return { year, level: 'national', area, columns, rows };
+        }
+
+        getStateResultsTable(year, stateName) {
+            const result = this.getStateTotals(year, stateName);
+            if (!result) throw new Error(`No ${year} results for ${stateName}`);
+            const area = { ...this.getExportArea(result), name: stateName, state: STATE_POSTAL_CODES[stateName] || '' };
+            const rows = this.getPartyRows(result.votes, result.candidates).map(row => ({
+                name: stateName,
+                state_po: area.state,
+                ...row,
+                winner: area.winner,
+                margin: area.margin,
+                reporting: area.reporting
+            }));
+            const columns = ['name', 'state_po', 'party', 'candidate', 'votes', 'share', 'winner', 'margin'];
+            if (area.reporting !== undefined) columns.push('reporting');
+            return { year, level: 'state', area, columns, rows };
+        }
+
+        getStatewideResultsTable(year, stateName) {
+            const counties = this.getStateCountyResults(year, stateName)
+                .map(([fips, result]) => [this.getCanonicalFips(fips), result])
+                .sort(([a], [b]) => a.localeCompare(b));
+            const stateResult = this.getStateTotals(year, stateName);
+            const statePostal = STATE_POSTAL_CODES[stateName] || '';
+
+            // One votes/share column pair per party, biggest statewide party first
+            const partyTotals = {};
+            counties.forEach(([, result]) => Object.entries(result.votes).forEach(([party, votes]) => {
+                partyTotals[party] = (partyTotals[party] || 0) + votes;
+            }));
+            const parties = Object.keys(partyTotals).sort((a, b) => partyTotals[b] - partyTotals[a]);
+            const partyColumn = party => party.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+            const rows = counties.map(([fips, result]) => {
+                const area = this.getExportArea(result);
+                const row = { fips, name: result.name, state_po: statePostal, total_votes: area.totalVotes };
+                parties.forEach(party => {
+                    const votes = result.votes[party] || 0;
+                    row[`${partyColumn(party)}_votes`] = votes;
+                    row[`${partyColumn(party)}_share`] = area.totalVotes ? this.roundPercent(votes / area.totalVotes * 100) : null;
+                });
+                return { ...row, winner: area.winner, margin: area.margin, reporting: area.reporting };
+            });
+
+            const columns = ['fips', 'name', 'state_po', 'total_votes',
+                ...parties.flatMap(party => [`${partyColumn(party)}_votes`, `${partyColumn(party)}_share`]), 'winner', 'margin'];
+            if (rows.some(row => row.reporting !== undefined)) columns.push('reporting');
+            const area = stateResult
+                ? { ...this.getExportArea(stateResult), name: stateName, state: statePostal }
+                : { name: stateName, state: statePostal, winner: 'UNKNOWN', margin: null, totalVotes: 0 };
+            return { year, level: 'statewide', area, columns, rows };
+        }
+
+        getCountyResultsTable(year, countyFips) {
+            const result = this.resolveCountyResult(year, countyFips) || this.getCountyTotals(year, countyFips);
+            if (!result) throw new Error(`No ${year} results for county ${countyFips}`);
+            const area = {
+                ...this.getExportArea(result),
+                fips: this.getCanonicalFips(countyFips),
+                name: result.name,
+                state: STATE_POSTAL_CODES[result.state] || ''
+            };
+            const rows = (result.candidates || []).map(candidate => ({
+                fips: area.fips,
+                name: area.name,
+                state_po: area.state,
+                candidate: candidate.candidate,
+                party: candidate.party,
+                running_mate: candidate.runningMate || '',
+                votes: candidate.votes,
+                share: area.totalVotes ? this.roundPercent(candidate.votes / area.totalVotes * 100) : null,
+                winner: area.winner,
+                margin: area.margin,
+                reporting: area.reporting
+            }));
+            const columns = ['fips', 'name', 'state_po', 'candidate', 'party', 'running_mate', 'votes', 'share', 'winner', 'margin'];
+            if (area.reporting !== undefined) columns.push('reporting');
+            return { year, level: 'county', area, columns, rows };
+        }
+
+        getPartyRows(votes, candidates) {
+            const totalVotes = Object.values(votes).reduce((a, b) => a + b, 0);
+            return Object.entries(votes)
+                .sort((a, b) => b[1] - a[1])
+                .map(([party, partyVotes]) => ({
+                    party,
+                    candidate: this.getLeadingCandidate(candidates, party)?.candidate || '',
+                    votes: partyVotes,
+                    share: totalVotes ? this.roundPercent(partyVotes / totalVotes * 100) : null
+                }));
+        }
+
+        getExportArea(result) {
+            const totalVotes = Object.values(result.votes).reduce((a, b) => a + b, 0);
+            const area = { winner: result.winner, margin: this.getExportMargin(result.votes, result.winner), totalVotes };
+            if (result.reporting !== undefined) area.reporting = result.reporting;
+            return area;
+        }
+
+        getExportMargin(votes, winner) {
+            // Winner's lead over the strongest other party in points; negative when an electoral winner lost the popular vote
+            const totalVotes = Object.values(votes).reduce((a, b) => a + b, 0);
+            if (!totalVotes || votes[winner] === undefined) return null;
+            const runnerUp = Math.max(0, ...Object.entries(votes).filter(([party]) => party !== winner).map(([, partyVotes]) => partyVotes));
+            return this.roundPercent((votes[winner] - runnerUp) / totalVotes * 100);
+        }
+
+        getCanonicalFips(fips) {
+            // County keys follow the CSV, which drops leading zeros in some years ("1001" for 01001)
+            return /^\d{1,5}$/.test(fips) ? fips.padStart(5, '0') : fips;
+        }
+
+        roundPercent(value) {
+            return Math.round(value * 100) / 100;
+        }
+
+        // FIPS crosswalk
+        /** @param {CrosswalkEntry[]} entries */
+        setCrosswalk(entries) {
+            this.crosswalk = new Map();
+            entries.forEach(entry => {
+                if (!this.crosswalk.has(entry.mapFips)) this.crosswalk.set(entry.mapFips, []);
+                this.crosswalk.get(entry.mapFips).push(entry);
+            });
+        }
+
+        /** @returns {?CrosswalkEntry} The entry covering a map county in `year`, if its geography changed */
+        getCrosswalkEntry(year, mapFips) {
+            const electionYear = parseInt(year);
+            return (this.crosswalk.get(mapFips) || []).find(({ years: [first, last] }) =>
+                electionYear >= first && (last === null || electionYear <= last)) || null;
+        }
+
+        /**
+         * The result to draw for a map county whose geography differs from the election data in `year`:
+         * the renamed county's result as-is, or votes summed (and allocated by share) across its sources.
+         * Null when no crosswalk entry applies or none of its sources have results.
+         * @returns {?CountyResult}
+         */
+        resolveCountyResult(year, mapFips) {
+            const entry = this.getCrosswalkEntry(year, mapFips);
+            if (!entry) return null;
+
+            const parts = Object.entries(entry.sources)
+                .map(([fips, share]) => [this.getCountyTotals(year, fips) || this.getCountyTotals(year, String(parseInt(fips))), share])
+                .filter(([result]) => result && (!entry.sourceName || result.name === entry.sourceName));
+            if (parts.length === 0) return null;
+            if (parts.length === 1 && parts[0][1] === 1 && Object.keys(entry.sources).length === 1) return parts[0][0];
+
+            const votes = {};
+            const candidateTotals = new Map();
+            parts.forEach(([result, share]) => {
+                Object.entries(result.votes).forEach(([party, partyVotes]) => {
+                    votes[party] = (votes[party] || 0) + Math.round(partyVotes * share);
+                });
+                (result.candidates || []).forEach(candidate => {
+                    this.addCandidateVotes(candidateTotals, { ...candidate, votes: Math.round(candidate.votes * share) });
+                });
+            });
+
+            const combined = {
+                winner: this.determineWinner(votes),
+                votes,
+                state: parts[0][0].state,
+                name: entry.name || parts.map(([result]) => result.name).join(' + '),
+                candidates: Array.from(candidateTotals.values()).sort((a, b) => b.votes - a.votes),
+                modeResolution: parts[0][0].modeResolution,
+                modeBreakdown: null,
+                crosswalk: { sources: parts.map(([result, share]) => `${result.name}${share < 1 ? ` (${Math.round(share * 100)}%)` : ''}`), note: entry.note }
+            };
+            const reporting = parts.map(([result]) => result.reporting).filter(value => value !== undefined);
+            if (reporting.length > 0) combined.reporting = Math.min(...reporting);
+            return combined;
+        }
+
+        /**
+         * The result drawn for a map county: through the crosswalk first, then by the FIPS formats the
+         * CSV has used ("01009", "1009", "009", "9"). `key` is the county's results key (the map FIPS
+         * for crosswalked counties) and `sources` every results key whose votes it shows.
+         * @returns {?{key: string, result: CountyResult, sources: string[]}}
+         */
+        matchCountyResult(year, mapFips, stateName) {
+            const crosswalked = this.resolveCountyResult(year, mapFips);
+            if (crosswalked && crosswalked.state === stateName) {
+                const sources = Object.keys(this.getCrosswalkEntry(year, mapFips).sources)
+                    .flatMap(fips => [fips, String(parseInt(fips))]);
+                return { key: mapFips, result: crosswalked, sources };
+            }
+
+            for (const format of this.getCountyFipsFormats(mapFips)) {
+                const result = this.getCountyTotals(year, format);
+                if (result && result.state === stateName) return { key: format, result, sources: [format] };
+            }
+            return null;
+        }
+
+        /** The results keys a county FIPS may be stored under, from its canonical 5-digit form */
+        getCountyFipsFormats(fips) {
+            const canonical = this.getCanonicalFips(fips);
+            return Array.from(new Set([
+                canonical,
+                parseInt(canonical).toString(),
+                canonical.substring(2),
+                parseInt(canonical.substring(2)).toString()
+            ]));
+        }
+
+        // Data quality audit
+        /**
+         * Where a state's results and the map disagree: map counties with no result, results no map
+         * county draws, counties built from summed vote modes, and the vote totals against the CSV's
+         * TOTAL VOTES CAST rows.
+         * @param {Array<{fips: string, name?: string}>} mapCounties - The state's counties in the map topology
+         * @returns {StateAudit}
+         */
+        auditState(year, stateName, mapCounties) {
+            const drawn = new Set();
+            const unmatchedCounties = [];
+            mapCounties.forEach(({ fips, name }) => {
+                const match = this.matchCountyResult(year, fips, stateName);
+                if (match) {
+                    match.sources.forEach(key => drawn.add(key));
+                } else {
+                    unmatchedCounties.push({ fips, name: name || null });
+                }
+            });
+            unmatchedCounties.sort((a, b) => a.fips.localeCompare(b.fips));
+
+            const countyResults = this.getStateCountyResults(year, stateName)
+                .map(([key, result]) => [key, this.getCanonicalFips(key), result])
+                .sort((a, b) => a[1].localeCompare(b[1]));
+            const sumVotes = result => Object.values(result.votes).reduce((a, b) => a + b, 0);
+
+            const unmappedResults = countyResults
+                .filter(([key]) => !drawn.has(key))
+                .map(([, fips, result]) => ({ fips, name: result.name, votes: sumVotes(result) }));
+
+            const summedModes = countyResults
+                .filter(([, , result]) => result.modeResolution === 'COMPONENTS')
+                .map(([, fips, result]) => ({
+                    fips,
+                    name: result.name,
+                    modes: VOTE_MODE_CATEGORIES.filter(category => result.modeBreakdown?.[category.key]).map(category => category.label)
+                }));
+
+            const totals = { derivedVotes: 0, reportedVotes: null, comparedVotes: 0, difference: null, reportedCounties: 0, counties: countyResults.length };
+            const totalMismatches = [];
+            countyResults.forEach(([, fips, result]) => {
+                const derivedVotes = sumVotes(result);
+                totals.derivedVotes += derivedVotes;
+                if (result.reportedVotes === null || result.reportedVotes === undefined) return;
+
+                totals.reportedVotes = (totals.reportedVotes || 0) + result.reportedVotes;
+                totals.comparedVotes += derivedVotes;
+                totals.reportedCounties++;
+                if (derivedVotes !== result.reportedVotes) {
+                    totalMismatches.push({ fips, name: result.name, derivedVotes, reportedVotes: result.reportedVotes, difference: derivedVotes - result.reportedVotes });
+                }
+            });
+            if (totals.reportedVotes !== null) totals.difference = totals.comparedVotes - totals.reportedVotes;
+
+            return { year, state: stateName, unmatchedCounties, unmappedResults, summedModes, totals, totalMismatches };
+        }
+
+        // Electoral College
+        getElectoralVoteTable(year) {
+            const electionYear = parseInt(year);
+            if (electionYear <= 2000) return ELECTORAL_VOTE_TABLES['1990'];
+            if (electionYear <= 2008) return ELECTORAL_VOTE_TABLES['2000'];
+            if (electionYear <= 2020) return ELECTORAL_VOTE_TABLES['2010'];
+            return ELECTORAL_VOTE_TABLES['2020'];
+        }
+
+        getStateElectoralVotes(stateName, year) {
+            const postalCode = STATE_POSTAL_CODES[stateName];
+            return postalCode ? (this.getElectoralVoteTable(year)[postalCode] || 0) : 0;
+        }
+
+        /** @returns {Map<string, number>} Party -> electoral votes won in this state */
+        allocateStateElectoralVotes(stateName, stateResult, year) {
+            const allocation = new Map();
+            const totalElectoralVotes = this.getStateElectoralVotes(stateName, year);
+            if (!stateResult || !totalElectoralVotes || stateResult.winner === 'UNKNOWN') return allocation;
+
+            // Simulated results have no district-level votes, so the statewide winner takes every elector
+            const districtWinners = DISTRICT_ELECTORAL_RESULTS[stateName];
+            if (!districtWinners || stateResult.simulated) {
+                allocation.set(stateResult.winner, totalElectoralVotes);
+                return allocation;
+            }
+
+            // Maine/Nebraska: 2 at-large electors plus one per congressional district
+            const atLarge = 2;
+            const districtCount = totalElectoralVotes - atLarge;
+            const yearDistricts = districtWinners[year] || [];
+            allocation.set(stateResult.winner, atLarge);
+            for (let i = 0; i < districtCount; i++) {
+                const party = yearDistricts[i] || stateResult.winner;
+                allocation.set(party, (allocation.get(party) || 0) + 1);
+            }
+            return allocation;
+        }
+
+        /**
+         * Electoral votes for every state in `stateResults` (defaults to the year's real results).
+         * @returns {ElectoralTally}
+         */
+        getElectoralVotes(year, stateResults = this.getYearStateResults(year)) {
+            const totals = new Map();
+            const byState = new Map();
+
+            stateResults.forEach((result, stateName) => {
+                const allocation = this.allocateStateElectoralVotes(stateName, result, year);
+                byState.set(stateName, allocation);
+                allocation.forEach((electoralVotes, party) => {
+                    totals.set(party, (totals.get(party) || 0) + electoralVotes);
+                });
+            });
+
+            const totalAvailable = Object.values(this.getElectoralVoteTable(year)).reduce((a, b) => a + b, 0);
+            const votesToWin = Math.floor(totalAvailable / 2) + 1;
+
+            // Winner needs an outright majority of electors; otherwise the House decides
+            let winner = null;
+            totals.forEach((electoralVotes, party) => {
+                if (electoralVotes >= votesToWin) winner = party;
+            });
+
+            return { totals, byState, winner, votesToWin, totalAvailable };
+        }
+    }
+
+    ElectionDataEngine.ALASKA_FIPS_MAPPING = ALASKA_FIPS_MAPPING;
+    ElectionDataEngine.FIPS_CROSSWALK = FIPS_CROSSWALK;
+    ElectionDataEngine.STATE_POSTAL_CODES = STATE_POSTAL_CODES;
+    ElectionDataEngine.ELECTORAL_VOTE_TABLES = ELECTORAL_VOTE_TABLES;
+    ElectionDataEngine.DISTRICT_ELECTORAL_RESULTS = DISTRICT_ELECTORAL_RESULTS;
+    ElectionDataEngine.RUNNING_MATES = RUNNING_MATES;
+    ElectionDataEngine.VOTE_MODE_CATEGORIES = VOTE_MODE_CATEGORIES;
+    ElectionDataEngine.RACE_CALLS = RACE_CALLS;
+    ElectionDataEngine.OUTSTANDING_UNCERTAINTY = OUTSTANDING_UNCERTAINTY;
+
+    return ElectionDataEngine;
+});
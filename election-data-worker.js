@@ -0,0 +1,86 @@
+// Web Worker: downloads and parses the election CSV and runs year/state aggregation off the
+// main thread, so year changes and drilling into large states don't freeze the map.
+//
+// Requests:  { id, type: 'load', url } | { id, type: 'processYear', year } | { id, type: 'processState', year, state }
+// Replies:   { id, type: 'progress', stage, fraction } while working, then
+//            { id, type: 'done', result } or { id, type: 'error', message }
+importScripts('election-data-engine.js');
+
+// Rows indexed once after parsing so each request reads its slice instead of re-scanning 94K rows
+const rowsByYear = new Map();      // year -> rows
+const rowsByYearState = new Map(); // `${year}|${state}` -> rows
+
+async function loadCsv(id, url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    // Stream the download so the sidebar can show real progress when the size is known
+    const total = parseInt(response.headers.get('Content-Length')) || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        self.postMessage({ id, type: 'progress', stage: 'download', fraction: total ? loaded / total : null });
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+
+    const rows = ElectionDataEngine.parseCsv(new TextDecoder().decode(bytes), fraction => {
+        self.postMessage({ id, type: 'progress', stage: 'parse', fraction });
+    });
+
+    rowsByYear.clear();
+    rowsByYearState.clear();
+    rows.forEach(row => {
+        if (!rowsByYear.has(row.year)) rowsByYear.set(row.year, []);
+        rowsByYear.get(row.year).push(row);
+
+        const stateKey = `${row.year}|${row.state}`;
+        if (!rowsByYearState.has(stateKey)) rowsByYearState.set(stateKey, []);
+        rowsByYearState.get(stateKey).push(row);
+    });
+
+    return { rowCount: rows.length, years: Array.from(rowsByYear.keys()) };
+}
+
+function processYear(year) {
+    const engine = new ElectionDataEngine();
+    engine.processYearRows(rowsByYear.get(year) || []);
+    return engine.exportResults(year);
+}
+
+function processState(year, state) {
+    const engine = new ElectionDataEngine();
+    engine.processStateRows(rowsByYearState.get(`${year}|${state}`) || [], year, state);
+    return engine.exportResults(year, state);
+}
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+    try {
+        let result;
+        if (type === 'load') {
+            result = await loadCsv(id, event.data.url);
+        } else if (type === 'processYear') {
+            result = processYear(event.data.year);
+        } else if (type === 'processState') {
+            result = processState(event.data.year, event.data.state);
+        } else {
+            throw new Error(`Unknown request type: ${type}`);
+        }
+        self.postMessage({ id, type: 'done', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};
@@ -4,9 +4,11 @@ class ElectionMap {
         this.currentLevel = 'national'; // 'national', 'state', 'statewide', 'county'
         this.currentState = null;
         this.currentCounty = null;
-        this.electionData = new Map();
-        this.stateResults = new Map();
-        this.countyResults = new Map();
+        // Headless data engine owns the result Maps (see election-data-engine.js)
+        this.dataEngine = new ElectionDataEngine();
+        this.electionData = this.dataEngine.electionData;
+        this.stateResults = this.dataEngine.stateResults;
+        this.countyResults = this.dataEngine.countyResults;
         this.svg = null;
         this.g = null;
         this.projection = null;
@@ -15,30 +17,174 @@ class ElectionMap {
         this.countiesTopology = null;
         this.isMobileDevice = window.innerWidth <= 768; // Initialize mobile detection
         
-        // Alaska district FIPS to real Alaska borough FIPS mapping
-        this.alaskaFipsMapping = {
-            '2001': '02240', '2002': '02290', '2003': '02180', '2004': '02188', '2005': '02185',
-            '2006': '02090', '2007': '02068', '2008': '02170', '2009': '02020', '2010': '02261',
-            '2011': '02122', '2012': '02150', '2013': '02164', '2014': '02060', '2015': '02070',
-            '2016': '02050', '2017': '02270', '2018': '02013', '2019': '02016', '2020': '02220',
-            '2021': '02100', '2022': '02110', '2023': '02230', '2024': '02282', '2025': '02275',
-            '2026': '02195', '2027': '02198', '2028': '02130', '2029': '02105', '2030': '02063',
-            '2031': '02066', '2032': '02158'
+        // Postal codes keyed by the upper-case state names used in the election data
+        this.statePostalCodes = ElectionDataEngine.STATE_POSTAL_CODES;
+        this.tooltip = null;
+        this.zoom = null;
+
+        // National layout: 'map' (geoAlbersUsa geography), 'hex' (equal hex tiles) or 'ev' (tiles sized by electoral votes)
+        this.nationalLayout = 'map';
+        this.pendingLayoutTransition = null; // Layout being left, animated by the next national render
+        this.layoutTransitionMs = 750;
+        this.renderedTiles = new Map(); // State name -> {x, y, radius} of the tiles on screen
+        // Hex grid [column, row]; odd rows are shifted half a tile to the right
+        this.hexTileGrid = {
+            AK: [0, 0], ME: [11, 0],
+            VT: [9, 1], NH: [10, 1],
+            WA: [0, 2], ID: [1, 2], MT: [2, 2], ND: [3, 2], MN: [4, 2], IL: [5, 2], WI: [6, 2], MI: [7, 2], NY: [8, 2], RI: [9, 2], MA: [10, 2],
+            OR: [0, 3], NV: [1, 3], WY: [2, 3], SD: [3, 3], IA: [4, 3], IN: [5, 3], OH: [6, 3], PA: [7, 3], NJ: [8, 3], CT: [9, 3],
+            CA: [0, 4], UT: [1, 4], CO: [2, 4], NE: [3, 4], MO: [4, 4], KY: [5, 4], WV: [6, 4], VA: [7, 4], MD: [8, 4], DE: [9, 4],
+            AZ: [0, 5], NM: [1, 5], KS: [2, 5], AR: [3, 5], TN: [4, 5], NC: [5, 5], SC: [6, 5], DC: [7, 5],
+            OK: [2, 6], LA: [3, 6], MS: [4, 6], AL: [5, 6], GA: [6, 6],
+            HI: [0, 7], TX: [2, 7], FL: [6, 7]
         };
         
-        // Georgia FIPS code corrections for data inconsistencies
-        this.georgiaFipsMapping = {
-            '13211': '13209'  // Morgan County: TopoJSON uses 13211, 2024 data uses 13209
+        // Map color mode: 'winner' (flat party color) or 'margin' (graded by winning margin)
+        this.colorMode = 'winner';
+        this.marginBreakpoints = [5, 10, 20]; // Percentage-point bin edges for margin shading
+        this.marginRampEndpoints = null; // Party -> [light, dark], set from the palette by applyPalette()
+        this.defaultLegendHtml = null;
+        
+        // Party color themes. Parties a theme doesn't list use its OTHER color; the user's per-party
+        // overrides apply on top of whichever theme is chosen.
+        this.partyPalettes = {
+            traditional: {
+                label: 'Traditional colors',
+                colors: {
+                    REPUBLICAN: '#DC143C', DEMOCRAT: '#4169E1', LIBERTARIAN: '#FED105', // Libertarian Party official yellow
+                    GREEN: '#2E8B57', CONSTITUTION: '#A0522D', REFORM: '#FF8C00', INDEPENDENT: '#708090', OTHER: '#9370DB'
+                },
+                marginRamps: { DEMOCRAT: ['#C6D4F7', '#1E3A8A'], REPUBLICAN: ['#F6C1C9', '#7A0A1F'] }
+            },
+            colorblind: {
+                // Okabe-Ito colors, distinguishable with the common forms of color blindness
+                label: 'Colorblind-safe',
+                colors: {
+                    REPUBLICAN: '#D55E00', DEMOCRAT: '#0072B2', LIBERTARIAN: '#F0E442',
+                    GREEN: '#009E73', CONSTITUTION: '#CC79A7', REFORM: '#E69F00', INDEPENDENT: '#56B4E9', OTHER: '#999999'
+                },
+                marginRamps: { DEMOCRAT: ['#C6DBEF', '#08306B'], REPUBLICAN: ['#FDD0A2', '#7F2704'] }
+            },
+            grayscale: {
+                // For black-and-white print: parties differ by lightness only, so the margin ramps
+                // cover separate lightness ranges (checked by applyPalette)
+                label: 'Grayscale (print)',
+                colors: {
+                    REPUBLICAN: '#222222', DEMOCRAT: '#AAAAAA', LIBERTARIAN: '#E6E6E6',
+                    GREEN: '#C8C8C8', CONSTITUTION: '#484848', REFORM: '#DADADA', INDEPENDENT: '#969696', OTHER: '#7A7A7A'
+                },
+                marginRamps: { DEMOCRAT: ['#F2F2F2', '#A6A6A6'], REPUBLICAN: ['#737373', '#111111'] }
+            }
         };
-        this.tooltip = null;
-        this.zoom = null;
+        this.palette = { name: 'traditional', overrides: {} }; // overrides: party -> color
+        this.paletteParties = ['REPUBLICAN', 'DEMOCRAT', 'LIBERTARIAN', 'GREEN', 'CONSTITUTION', 'REFORM', 'INDEPENDENT', 'OTHER'];
+        this.paletteStorageKey = 'electionMap.palette';
+
+        // Swing mode: compare the current year against a base year with shift arrows
+        this.swingMode = { enabled: false, baseYear: '2020' };
+        this.swingMoverCount = 10; // Biggest movers listed in the sidebar
+        
+        // Bubble mode: circles at centroids sized by total votes or raw vote margin (national and statewide).
+        // At national level `unit` picks state or county circles.
+        this.bubbleMode = { enabled: false, sizeBy: 'votes', unit: 'states' };
+        
+        // County view: neighbours come from the county topology's shared arcs; optionally across state lines
+        this.countyNeighborIndex = null; // TopoJSON ID -> indexes of adjacent county features
+        this.crossStateNavigation = false;
+        this.bubbleMaxRadius = { states: 40, counties: 18, statewide: 30 }; // Map units before zoom
+        this.basemapColor = '#3a3a3a'; // Muted fill under swing arrows and bubbles
+        
+        // Keyboard navigation: set when Enter/Escape navigates so focus lands on the new view's regions
+        this.focusMapAfterRender = false;
+        this.focusReturnState = null; // State to focus after drilling up to the national map
+        
+        // Header place search: built from the topology on first use
+        this.searchIndex = null;
+        this.searchMatches = [];
+        this.searchActiveIndex = -1;
+        this.searchResultLimit = 10;
+        
+        // Timeline playback: steps through every election year, fading fills in place
+        this.timeline = {
+            playing: false,
+            run: 0,            // Incremented on play/pause so a stale playback loop stops
+            speed: 1,
+            stepMs: 2000,      // Time on each year at 1x
+            transitionMs: 800  // Fill fade at 1x
+        };
+        
+        // Side-by-side comparison: a second pane showing another year, mirroring zoom and drill-down
+        this.compareMode = { enabled: false, year: '2016' };
+        this.comparePartyLimit = 4; // Parties listed in the sidebar's paired columns
+        
+        this.modeBreakdownPartyLimit = 4; // Parties shown in the vote-mode breakdown
+        
+        // "Call the race" paint mode: national-view clicks cycle a state's call instead of drilling in
+        this.paintMode = {
+            enabled: false,
+            calls: {},  // State name -> 'REPUBLICAN' | 'DEMOCRAT' | 'TOSSUP'; missing means uncalled
+            splits: {}  // Maine/Nebraska -> party -> electoral votes, as split in the start year; dropped when re-called
+        };
+        this.raceCallCycle = [null, 'REPUBLICAN', 'DEMOCRAT', 'TOSSUP'];
+        this.raceCallColors = { TOSSUP: '#C9A227', UNCALLED: '#555555' };
+        this.raceCallStorageKey = 'electionMap.raceCalls';
+        
+        // What-if scenario: simulated copy of the current year, never written into the real results
+        this.scenario = {
+            uniformSwing: 0,   // Points of two-party margin, Republican-positive
+            turnoutChange: 0,  // Percent
+            stateSwings: {},   // State name -> points, overrides the uniform swing
+            engine: null,      // ElectionDataEngine holding the simulated year
+            engineYear: null
+        };
+        
+        // Asset sources (local first, CDN fallback) from asset-sources.js
+        this.assetSources = window.ASSET_SOURCES || {
+            topology: {
+                states: ['https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json'],
+                counties: ['https://cdn.jsdelivr.net/npm/us-atlas@3/counties-10m.json']
+            },
+            electionData: ['./data/countypres_2000-2024.csv']
+        };
+        this.assetFailures = [];
+        
+        // Live results: poll a feed of running county totals and merge them into the results Maps
+        const liveConfig = this.assetSources.liveResults || {};
+        this.liveResults = {
+            enabled: false,
+            url: liveConfig.url || 'data/live/sample-feed.json',
+            pollSeconds: liveConfig.pollSeconds || 30,
+            timer: null,
+            polling: false,
+            lastUpdated: null, // Feed `updated` stamp of the last merge
+            year: null         // Year the feed reports on
+        };
+        this.reportingHatchSize = 6; // Screen pixels between hatch lines for partially reporting areas
+        
+        // Outstanding-vote estimator: partial county results projected against a baseline year's turnout
+        this.outstandingVote = {
+            partial: null,       // County FIPS -> party -> votes counted, from the loaded file
+            fileName: null,
+            baselineYear: null,
+            estimates: new Map(), // State name -> OutstandingEstimate
+            unmatched: []
+        };
+        this.outstandingCountyLimit = 12; // Counties listed in the sidebar's outstanding-vote table
         
         // Performance optimization: cache and lazy loading
         this.processedYears = new Set();
-        this.rawCsvData = null;
+        this.rawCsvData = null; // Only used when the data worker is unavailable
+        this.yearProcessing = new Map(); // year -> pending processing promise
+        
+        // Background data worker (CSV parsing and aggregation off the main thread)
+        this.dataWorkerScript = 'election-data-worker.js';
+        this.dataWorker = null;
+        this.workerRequests = new Map(); // request id -> { resolve, reject, onProgress }
+        this.nextWorkerRequestId = 0;
         this.renderCache = new Map();
         this.debounceTimeout = null;
         this.navigationTimeout = null;
+        this.isRestoringUrlState = false; // Suppresses history pushes during back/forward
         this.fipsMatchCache = new Map(); // Cache FIPS format matching results
         
         // State-based lazy loading
@@ -50,6 +196,7 @@ class ElectionMap {
         this.countyFipsCache = new Map(); // Cache FIPS format mappings
         this.countyPathCache = new Map(); // Cache pre-computed SVG paths by state
         this.countyBoundsCache = new Map(); // Cache county bounds for zoom operations
+        this.countyCentroidCache = new Map(); // Cache projected county centroids for overlays
         
         // Add cache clearing method
         this.clearPerformanceCaches = () => {
@@ -58,6 +205,7 @@ class ElectionMap {
             this.fipsMatchCache.clear();
             this.countyPathCache.clear();
             this.countyBoundsCache.clear();
+            this.countyCentroidCache.clear();
             console.log('All performance caches cleared (including path and bounds cache)');
         };
         
@@ -76,6 +224,14 @@ class ElectionMap {
             console.log('Setting up event listeners...');
             this.setupEventListeners();
             
+            // Deep link: start on the year from the URL so only that year is processed up front
+            const urlState = this.getUrlState();
+            if (this.isValidYear(urlState.year)) {
+                this.currentYear = urlState.year;
+                document.getElementById('yearSelect').value = urlState.year;
+                this.syncTimelineScrub();
+            }
+            
             console.log('Loading topology...');
             await this.loadTopology();
             
@@ -91,16 +247,49 @@ class ElectionMap {
             console.log('Updating breadcrumb...');
             this.updateBreadcrumb();
             
+            console.log('Restoring URL state...');
+            await this.restoreUrlState(urlState);
+            history.replaceState(null, '', this.buildUrlHash());
+            
+            // First year is on screen; process the rest without blocking interaction
+            this.preprocessRemainingYears();
+            
             console.log('Map initialization complete!');
         } catch (error) {
             console.error('Error initializing map:', error);
-            this.showError('Failed to load map data. Please ensure all files are accessible via HTTP server.');
+            if (this.assetFailures.length > 0) {
+                ElectionMap.showAssetDiagnostics(this.assetFailures);
+            } else {
+                this.showError('Failed to load map data. Please ensure all files are accessible via HTTP server.');
+            }
         }
     }
 
+    static showAssetDiagnostics(assetFailures) {
+        // Sidebar report listing every source tried for each asset that couldn't be loaded
+        const sidebar = document.getElementById('results-summary');
+        if (!sidebar) return;
+        
+        const failures = assetFailures.map(failure => `
+            <div class="asset-failure">
+                <strong>${failure.asset}</strong>
+                <ul>
+                    ${failure.attempts.map(attempt => `<li><code>${attempt.source}</code>: ${attempt.message}</li>`).join('')}
+                </ul>
+            </div>
+        `).join('');
+        
+        sidebar.innerHTML = `
+            <div class="asset-diagnostics">
+                <p><strong>Some assets could not be loaded from any configured source.</strong></p>
+                ${failures}
+                <p>Check that the local copies exist and the page is served over HTTP, or update the source lists in <code>asset-sources.js</code>.</p>
+            </div>
+        `;
+    }
+
     setupSVG() {
-        const container = document.getElementById('map-container');
-        const rect = container.getBoundingClientRect();
+        const rect = this.getMapSize();
         
         this.svg = d3.select('#map')
             .attr('width', rect.width)
@@ -108,6 +297,12 @@ class ElectionMap {
             
         this.g = this.svg.append('g');
         
+        // Comparison pane: same size and projection as the main map, hidden until compare mode is on
+        this.compareSvg = d3.select('#compare-map')
+            .attr('width', rect.width)
+            .attr('height', rect.height);
+        this.compareG = this.compareSvg.append('g');
+        
         // Setup projection for US map - AlbersUsa is optimized for US maps
         this.projection = d3.geoAlbersUsa()
             .scale(Math.min(rect.width, rect.height) * 1.0)
@@ -120,17 +315,42 @@ class ElectionMap {
             .scaleExtent([0.5, 20])
             .on('zoom', (event) => {
                 this.g.attr('transform', event.transform);
+                // Keep reporting hatches a constant screen size at any zoom
+                this.svg.selectAll('pattern.reporting-hatch')
+                    .attr('patternTransform', `rotate(45) scale(${1 / event.transform.k})`);
+                if (this.compareMode.enabled) {
+                    this.compareSvg.call(this.compareZoom.transform, event.transform);
+                }
             });
             
         this.svg.call(this.zoom);
         
+        // Gestures on the comparison pane drive the main zoom, which mirrors back without a source event
+        this.compareZoom = d3.zoom()
+            .scaleExtent([0.5, 20])
+            .on('zoom', (event) => {
+                this.compareG.attr('transform', event.transform);
+                if (event.sourceEvent) {
+                    this.svg.call(this.zoom.transform, event.transform);
+                }
+            });
+        
+        this.compareSvg.call(this.compareZoom);
+        
         // Handle window resize
         window.addEventListener('resize', () => this.handleResize());
     }
 
+    getMapSize() {
+        // The main map fills the container, or its left half in compare mode
+        return document.getElementById('map').getBoundingClientRect();
+    }
+
     createTooltip() {
+        // Tooltips duplicate the regions' labels and the hidden data table, so screen readers skip them
         this.tooltip = d3.select('body').append('div')
             .attr('class', 'tooltip')
+            .attr('aria-hidden', 'true')
             .style('opacity', 0);
     }
 
@@ -143,14 +363,8 @@ class ElectionMap {
             this.showLoading();
             
             try {
-                this.currentYear = newYear;
-                
-                // Lazy load data for the new year if not already processed
-                await this.processYearData(newYear);
-                
-                // Update views
-                this.updateCurrentView();
-                this.updateSidebar();
+                this.pauseTimeline();
+                await this.showYear(newYear);
             } catch (error) {
                 console.error('Error changing year:', error);
                 this.showError(`Failed to load ${newYear} data`);
@@ -159,6 +373,119 @@ class ElectionMap {
             }
         });
         
+        // Keyboard and screen-reader access to the map regions
+        this.setupMapKeyboard();
+        
+        // State/county search
+        this.setupPlaceSearch();
+        
+        // Timeline playback controls
+        this.setupTimelineControls();
+        
+        // National layout selector (geography vs. state tiles)
+        document.getElementById('layoutSelect').addEventListener('change', (e) => {
+            this.setNationalLayout(e.target.value);
+        });
+        
+        // Party color theme and per-party overrides
+        this.setupPaletteControls();
+        
+        // Color mode selector (winner vs. margin shading)
+        this.defaultLegendHtml = document.querySelector('.legend').innerHTML;
+        const breakpointsInput = document.getElementById('marginBreakpoints');
+        document.getElementById('colorModeSelect').addEventListener('change', (e) => {
+            this.colorMode = e.target.value;
+            breakpointsInput.style.display = this.colorMode === 'margin' ? 'inline-block' : 'none';
+            this.refreshMapColors();
+        });
+        
+        breakpointsInput.addEventListener('change', (e) => {
+            if (this.setMarginBreakpoints(e.target.value)) {
+                this.refreshMapColors();
+            }
+            e.target.value = this.marginBreakpoints.join(', ');
+        });
+        
+        // Swing mode toggle and base year
+        const swingToggle = document.getElementById('swingToggle');
+        const swingBaseYear = document.getElementById('swingBaseYear');
+        const applySwingSettings = async () => {
+            this.swingMode.enabled = swingToggle.checked;
+            this.swingMode.baseYear = swingBaseYear.value;
+            swingBaseYear.disabled = !this.swingMode.enabled;
+            this.syncSwingLayoutControls();
+            
+            if (this.swingMode.enabled) {
+                this.showLoading();
+                try {
+                    await this.processYearData(this.swingMode.baseYear);
+                } catch (error) {
+                    console.error('Error loading swing base year:', error);
+                    this.showError(`Failed to load ${this.swingMode.baseYear} data`);
+                    return;
+                }
+            }
+            this.refreshMapColors();
+            this.updateSidebar();
+        };
+        swingToggle.addEventListener('change', applySwingSettings);
+        swingBaseYear.addEventListener('change', applySwingSettings);
+        
+        // Bubble mode toggle, sizing and national unit
+        const bubbleToggle = document.getElementById('bubbleToggle');
+        const bubbleSize = document.getElementById('bubbleSize');
+        const bubbleUnit = document.getElementById('bubbleUnit');
+        const applyBubbleSettings = () => {
+            this.bubbleMode.enabled = bubbleToggle.checked;
+            this.bubbleMode.sizeBy = bubbleSize.value;
+            this.bubbleMode.unit = bubbleUnit.value;
+            bubbleSize.disabled = !this.bubbleMode.enabled;
+            bubbleUnit.disabled = !this.bubbleMode.enabled;
+            this.refreshMapColors();
+        };
+        [bubbleToggle, bubbleSize, bubbleUnit].forEach(control => control.addEventListener('change', applyBubbleSettings));
+        
+        // County-to-county navigation across state lines
+        document.getElementById('crossStateToggle').addEventListener('change', async (e) => {
+            this.crossStateNavigation = e.target.checked;
+            if (this.currentLevel !== 'county') return;
+            await this.loadNeighborStates();
+            this.refreshMapColors();
+        });
+        
+        // Side-by-side comparison toggle and year
+        const compareToggle = document.getElementById('compareToggle');
+        const compareYear = document.getElementById('compareYear');
+        const applyCompareSettings = async () => {
+            compareYear.disabled = !compareToggle.checked;
+            await this.setCompareMode(compareToggle.checked, compareYear.value);
+        };
+        compareToggle.addEventListener('change', applyCompareSettings);
+        compareYear.addEventListener('change', applyCompareSettings);
+        
+        // What-if scenario panel
+        this.setupScenarioPanel();
+        
+        // Race-call paint mode panel
+        this.setupPaintPanel();
+        
+        // Outstanding-vote estimator panel
+        this.setupEstimatePanel();
+        
+        // Map export (SVG/PNG)
+        this.setupExportPanel();
+        
+        // Data quality audit panel
+        this.setupAuditPanel();
+        
+        // Sidebar results download (CSV/JSON)
+        this.setupResultsExport();
+        
+        // Live results polling
+        document.getElementById('liveToggle').addEventListener('change', (e) => {
+            this.setLiveMode(e.target.checked);
+        });
+        
         // Mobile swipe functionality
         this.setupMobileSwipe();
         
@@ -183,6 +510,12 @@ class ElectionMap {
         document.getElementById('drillUpButton').addEventListener('click', async () => {
             await this.drillUp();
         });
+        
+        // Browser back/forward restores the view recorded in the URL (back acts as drill-up)
+        window.addEventListener('popstate', async () => {
+            this.pauseTimeline();
+            await this.restoreUrlState(this.getUrlState());
+        });
     }
     
     setupMobileSwipe() {
@@ -358,10 +691,31 @@ class ElectionMap {
         });
     }
 
+    async loadAsset(assetName, urls, loader) {
+        // Try each configured source in order; record every failed attempt for diagnostics
+        const attempts = [];
+        for (const url of urls) {
+            try {
+                const asset = await loader(url);
+                if (attempts.length > 0) {
+                    console.warn(`${assetName}: loaded from fallback source ${url}`);
+                }
+                return asset;
+            } catch (error) {
+                console.warn(`${assetName}: failed to load from ${url}`, error);
+                attempts.push({ source: url, message: error.message || String(error) });
+            }
+        }
+        
+        this.assetFailures.push({ asset: assetName, attempts });
+        throw new Error(`Failed to load ${assetName} from any source`);
+    }
+
     async loadTopology() {
         try {
-            this.topology = await d3.json('https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json');
-            this.countiesTopology = await d3.json('https://cdn.jsdelivr.net/npm/us-atlas@3/counties-10m.json');
+            const topologySources = this.assetSources.topology;
+            this.topology = await this.loadAsset('State topology', topologySources.states, url => d3.json(url));
+            this.countiesTopology = await this.loadAsset('County topology', topologySources.counties, url => d3.json(url));
         } catch (error) {
             console.error('Error loading topology:', error);
             throw new Error('Failed to load map topology');
@@ -370,24 +724,129 @@ class ElectionMap {
 
     async loadElectionData() {
         try {
-            // Only load raw CSV once, process lazily by year
-            if (!this.rawCsvData) {
-                console.log('Loading election data...');
-                this.rawCsvData = await d3.csv('./data/countypres_2000-2024.csv');
-                console.log(`Loaded ${this.rawCsvData.length} records`);
+            // Only load the CSV once, process lazily by year
+            if (!this.dataWorker && !this.rawCsvData) {
+                this.dataWorker = this.createDataWorker();
+                if (this.dataWorker) {
+                    await this.loadElectionDataInWorker();
+                }
+                if (!this.dataWorker) {
+                    await this.loadElectionDataOnMainThread();
+                }
             }
             
             // Process only the current year on first load
+            this.showDataProgress(`Processing ${this.currentYear} results`, null);
             await this.processYearData(this.currentYear);
+            this.hideDataProgress();
         } catch (error) {
             console.error('Error loading election data:', error);
             throw new Error('Failed to load election data');
         }
     }
 
+    async loadElectionDataInWorker() {
+        const stageLabels = { download: 'Downloading election data', parse: 'Parsing election data' };
+        try {
+            const summary = await this.loadAsset('Election data', this.assetSources.electionData, url =>
+                this.requestWorker('load', { url: new URL(url, window.location.href).href },
+                    progress => this.showDataProgress(stageLabels[progress.stage], progress.fraction)));
+            console.log(`Data worker loaded ${summary.rowCount} records`);
+        } catch (error) {
+            if (this.dataWorker) throw error; // Every source failed
+            
+            // The worker itself failed (e.g. blocked on file://); fall back to the main thread
+            console.warn('Data worker unavailable, loading election data on the main thread');
+            this.assetFailures = this.assetFailures.filter(failure => failure.asset !== 'Election data');
+        }
+    }
+
+    async loadElectionDataOnMainThread() {
+        console.log('Loading election data on the main thread...');
+        this.showDataProgress('Downloading election data', null);
+        this.rawCsvData = await this.loadAsset('Election data', this.assetSources.electionData, url => d3.csv(url));
+        console.log(`Loaded ${this.rawCsvData.length} records`);
+    }
+
+    createDataWorker() {
+        if (typeof Worker === 'undefined') return null;
+        
+        try {
+            const worker = new Worker(this.dataWorkerScript);
+            worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            worker.onerror = (event) => {
+                console.error('Data worker error:', event.message);
+                this.dataWorker = null;
+                worker.terminate();
+                this.workerRequests.forEach(request => request.reject(new Error('Data worker stopped')));
+                this.workerRequests.clear();
+            };
+            return worker;
+        } catch (error) {
+            console.warn('Could not start data worker:', error);
+            return null;
+        }
+    }
+
+    requestWorker(type, payload = {}, onProgress = null) {
+        if (!this.dataWorker) {
+            return Promise.reject(new Error('Data worker unavailable'));
+        }
+        
+        const id = ++this.nextWorkerRequestId;
+        return new Promise((resolve, reject) => {
+            this.workerRequests.set(id, { resolve, reject, onProgress });
+            this.dataWorker.postMessage({ id, type, ...payload });
+        });
+    }
+
+    handleWorkerMessage(message) {
+        const request = this.workerRequests.get(message.id);
+        if (!request) return;
+        
+        if (message.type === 'progress') {
+            if (request.onProgress) request.onProgress(message);
+            return;
+        }
+        
+        this.workerRequests.delete(message.id);
+        if (message.type === 'done') {
+            request.resolve(message.result);
+        } else {
+            request.reject(new Error(message.message));
+        }
+    }
+
     async processYearData(year) {
-        if (this.processedYears.has(year) || !this.rawCsvData) {
-            return; // Already processed or no data
+        if (this.processedYears.has(year)) {
+            return; // Already processed
+        }
+        if (this.yearProcessing.has(year)) {
+            return this.yearProcessing.get(year); // Already being processed (e.g. in the background)
+        }
+        
+        if (this.dataWorker) {
+            const pending = this.requestWorker('processYear', { year })
+                .then(results => {
+                    this.dataEngine.importResults(year, results);
+                    this.processedYears.add(year);
+                    console.log(`Completed processing ${year} in data worker`);
+                })
+                .catch(async error => {
+                    if (this.dataWorker) throw error;
+                    
+                    // Worker stopped after loading; continue on the main thread
+                    this.yearProcessing.delete(year);
+                    if (!this.rawCsvData) await this.loadElectionDataOnMainThread();
+                    await this.processYearData(year);
+                })
+                .finally(() => this.yearProcessing.delete(year));
+            this.yearProcessing.set(year, pending);
+            return pending;
+        }
+        
+        if (!this.rawCsvData) {
+            return; // No data
         }
 
         console.log(`Processing data for ${year}...`);
@@ -397,16 +856,48 @@ class ElectionMap {
         console.log(`Processing ${yearData.length} records for ${year}`);
         
         // Process only this year's data
-        this.processElectionData(yearData, year);
+        this.dataEngine.processYearRows(yearData);
         this.processedYears.add(year);
         
         console.log(`Completed processing ${year}`);
     }
 
+    async preprocessRemainingYears() {
+        // One year at a time, so a year the user picks meanwhile waits for at most one job
+        const years = Array.from(document.getElementById('yearSelect').options, option => option.value)
+            .filter(year => !this.processedYears.has(year));
+        if (!this.dataWorker || years.length === 0) return;
+        
+        for (let i = 0; i < years.length; i++) {
+            this.showDataProgress(`Processing ${years[i]} in background (${i + 1} of ${years.length})`, i / years.length);
+            try {
+                await this.processYearData(years[i]);
+            } catch (error) {
+                console.warn(`Background processing failed for ${years[i]}:`, error);
+                if (!this.dataWorker) break; // Remaining years will be processed when selected
+            }
+        }
+        this.hideDataProgress();
+    }
+
     async processStateCountyData(year, stateName) {
         const cacheKey = `${year}-${stateName}`;
-        if (this.processedStateData.has(cacheKey)) {
-            return; // Already processed this state+year
+        if (this.processedStateData.has(cacheKey) || this.processedYears.has(year)) {
+            return; // Already processed this state+year (year processing includes every county)
+        }
+
+        if (this.dataWorker) {
+            try {
+                const results = await this.requestWorker('processState', { year, state: stateName });
+                this.dataEngine.importResults(year, results);
+                this.processedStateData.set(cacheKey, true);
+                return;
+            } catch (error) {
+                if (this.dataWorker) throw error;
+                
+                // Worker stopped after loading; continue on the main thread
+                if (!this.rawCsvData) await this.loadElectionDataOnMainThread();
+            }
         }
 
         if (!this.rawCsvData) {
@@ -422,348 +913,21 @@ class ElectionMap {
         );
         
         // Process this state's county data specifically
-        this.processStateElectionData(stateYearData, year, stateName);
+        this.dataEngine.processStateRows(stateYearData, year, stateName);
         this.processedStateData.set(cacheKey, true);
         
         console.timeEnd(`Processing county data for ${stateName} ${year}`);
     }
 
-    processStateElectionData(csvData, targetYear, targetState) {
-        // Process county data for a specific state+year combination
-        const rawData = new Map();
-        
-        csvData.forEach(d => {
-            const year = d.year;
-            const state = d.state;
-            let county = d.county_fips;
-            const candidate = d.candidate;
-            const party = this.normalizeParty(d.party);
-            const votes = parseInt(d.candidatevotes);
-            const mode = d.mode || 'TOTAL';
-            
-            // Skip invalid data
-            if (year === 'year' || !county || !votes || votes < 0) return;
-            if (candidate === 'TOTAL VOTES CAST' || candidate === '') return;
-            
-            // Skip overvotes and undervotes (comprehensive check)
-            const candidateUpper = candidate.toUpperCase().trim();
-            if (candidateUpper === 'OVERVOTES' || candidateUpper === 'UNDERVOTES' || 
-                candidateUpper === 'OVER VOTES' || candidateUpper === 'UNDER VOTES' ||
-                candidateUpper.includes('OVERVOTE') || candidateUpper.includes('UNDERVOTE')) return;
-            
-            // Special handling for Rhode Island: aggregate to county level
-            if (state === 'RHODE ISLAND' && county && county.length === 10) {
-                county = county.substring(0, 5);
-            }
-            
-            // Initialize nested structure
-            if (!rawData.has(year)) rawData.set(year, new Map());
-            if (!rawData.get(year).has(state)) rawData.get(year).set(state, new Map());
-            if (!rawData.get(year).get(state).has(county)) {
-                rawData.get(year).get(state).set(county, { modes: new Map(), name: d.county_name });
-            }
-            
-            const countyData = rawData.get(year).get(state).get(county);
-            if (!countyData.modes.has(mode)) countyData.modes.set(mode, new Map());
-            if (!countyData.modes.get(mode).has(party)) countyData.modes.get(mode).set(party, 0);
-            
-            countyData.modes.get(mode).set(party, countyData.modes.get(mode).get(party) + votes);
-        });
-        
-        // Process and store county results for this state
-        this.processStateRawData(rawData, targetYear, targetState);
-    }
-
-    processStateRawData(rawData, targetYear, targetState) {
-        rawData.forEach((yearData, year) => {
-            if (!this.electionData.has(year)) this.electionData.set(year, new Map());
-            if (!this.countyResults.has(year)) this.countyResults.set(year, new Map());
-            
-            yearData.forEach((stateData, state) => {
-                if (state !== targetState) return; // Only process target state
-                
-                if (!this.electionData.get(year).has(state)) this.electionData.get(year).set(state, new Map());
-                
-                stateData.forEach((countyData, county) => {
-                    const modes = countyData.modes;
-                    const finalVotes = new Map();
-                    
-                    // Determine which modes to use (prefer TOTAL VOTES > TOTAL > component modes)
-                    if (modes.has('TOTAL VOTES')) {
-                        modes.get('TOTAL VOTES').forEach((votes, party) => {
-                            finalVotes.set(party, votes);
-                        });
-                    } else if (modes.has('TOTAL')) {
-                        modes.get('TOTAL').forEach((votes, party) => {
-                            finalVotes.set(party, votes);
-                        });
-                    } else {
-                        const modesToSum = Array.from(modes.keys()).filter(mode => 
-                            !['EARLY VOTING', 'LATE EARLY VOTING', 'ELECTION DAY', 'PROVISIONAL', 'ABSENTEE', 'MAIL-IN', 'ABSENTEE BY MAIL'].includes(mode) ||
-                            (!modes.has('TOTAL VOTES') && !modes.has('TOTAL'))
-                        );
-                        
-                        modesToSum.forEach(mode => {
-                            modes.get(mode).forEach((votes, party) => {
-                                finalVotes.set(party, (finalVotes.get(party) || 0) + votes);
-                            });
-                        });
-                    }
-                    
-                    // Convert to array format
-                    const candidateArray = [];
-                    finalVotes.forEach((votes, party) => {
-                        candidateArray.push({
-                            candidate: party,
-                            party: party,
-                            votes: votes,
-                            countyName: countyData.name,
-                            mode: 'PROCESSED'
-                        });
-                    });
-                    
-                    this.electionData.get(year).get(state).set(county, candidateArray);
-                    
-                    // Calculate county results
-                    const countyVotes = new Map();
-                    let countyName = 'Unknown County';
-                    
-                    candidateArray.forEach(candidate => {
-                        const currentVotes = countyVotes.get(candidate.party) || 0;
-                        countyVotes.set(candidate.party, currentVotes + candidate.votes);
-                        if (candidate.countyName) {
-                            countyName = candidate.countyName;
-                        }
-                    });
-                    
-                    const countyWinner = this.determineWinner(countyVotes);
-                    
-                    // Handle Alaska district mapping
-                    let storageKey = county;
-                    if (state === 'ALASKA' && this.alaskaFipsMapping[county]) {
-                        storageKey = this.alaskaFipsMapping[county];
-                    }
-                    
-                    // Convert Map to object for storage
-                    const countyVotesObj = {};
-                    countyVotes.forEach((votes, party) => {
-                        countyVotesObj[party] = votes;
-                    });
-                    
-                    this.countyResults.get(year).set(storageKey, {
-                        winner: countyWinner,
-                        votes: countyVotesObj,
-                        state: state,
-                        name: countyName,
-                        candidates: candidateArray
-                    });
-                });
-            });
-        });
-    }
-
-    processElectionData(csvData, targetYear = null) {
-        // Process raw data by mode to handle double counting properly (MagicWall approach)
-        const rawData = new Map();
-        
-        csvData.forEach(d => {
-            const year = d.year;
-            const state = d.state;
-            let county = d.county_fips;
-            const candidate = d.candidate;
-            const party = this.normalizeParty(d.party);
-            const votes = parseInt(d.candidatevotes);
-            const mode = d.mode || 'TOTAL';
-            
-            // Skip header row and invalid data
-            if (year === 'year' || !county || !votes || votes < 0) return;
-            if (candidate === 'TOTAL VOTES CAST' || candidate === '') return;
-            
-            // Skip overvotes and undervotes (comprehensive check)
-            const candidateUpper = candidate.toUpperCase().trim();
-            if (candidateUpper === 'OVERVOTES' || candidateUpper === 'UNDERVOTES' || 
-                candidateUpper === 'OVER VOTES' || candidateUpper === 'UNDER VOTES' ||
-                candidateUpper.includes('OVERVOTE') || candidateUpper.includes('UNDERVOTE')) return;
-            
-            // Special handling for Rhode Island: aggregate to county level
-            if (state === 'RHODE ISLAND' && county && county.length === 10) {
-                county = county.substring(0, 5);
-            }
-            
-            // Initialize nested structure
-            if (!rawData.has(year)) rawData.set(year, new Map());
-            if (!rawData.get(year).has(state)) rawData.get(year).set(state, new Map());
-            if (!rawData.get(year).get(state).has(county)) {
-                rawData.get(year).get(state).set(county, { modes: new Map(), name: d.county_name });
-            }
-            
-            const countyData = rawData.get(year).get(state).get(county);
-            if (!countyData.modes.has(mode)) countyData.modes.set(mode, new Map());
-            if (!countyData.modes.get(mode).has(party)) countyData.modes.get(mode).set(party, 0);
-            
-            countyData.modes.get(mode).set(party, countyData.modes.get(mode).get(party) + votes);
-        });
-        
-        // Process modes to avoid double counting (following MagicWall logic)
-        rawData.forEach((yearData, year) => {
-            if (!this.electionData.has(year)) this.electionData.set(year, new Map());
-            
-            yearData.forEach((stateData, state) => {
-                if (!this.electionData.get(year).has(state)) this.electionData.get(year).set(state, new Map());
-                
-                stateData.forEach((countyData, county) => {
-                    const modes = countyData.modes;
-                    const finalVotes = new Map();
-                    
-                    // Determine which modes to use (prefer TOTAL VOTES > TOTAL > component modes)
-                    if (modes.has('TOTAL VOTES')) {
-                        // Use TOTAL VOTES if available (includes early voting, election day, etc.)
-                        modes.get('TOTAL VOTES').forEach((votes, party) => {
-                            finalVotes.set(party, votes);
-                        });
-                    } else if (modes.has('TOTAL')) {
-                        // Use TOTAL if available (legacy format)
-                        modes.get('TOTAL').forEach((votes, party) => {
-                            finalVotes.set(party, votes);
-                        });
-                    } else {
-                        // Sum component modes, but avoid double counting
-                        // Skip modes that are subsets of others when TOTAL VOTES or TOTAL exist
-                        const modesToSum = Array.from(modes.keys()).filter(mode => 
-                            !['EARLY VOTING', 'LATE EARLY VOTING', 'ELECTION DAY', 'PROVISIONAL', 'ABSENTEE', 'MAIL-IN', 'ABSENTEE BY MAIL'].includes(mode) ||
-                            (!modes.has('TOTAL VOTES') && !modes.has('TOTAL'))
-                        );
-                        
-                        modesToSum.forEach(mode => {
-                            modes.get(mode).forEach((votes, party) => {
-                                finalVotes.set(party, (finalVotes.get(party) || 0) + votes);
-                            });
-                        });
-                    }
-                    
-                    // Convert to array format for calculateResults
-                    const candidateArray = [];
-                    finalVotes.forEach((votes, party) => {
-                        candidateArray.push({
-                            candidate: party, // We'll use party as candidate name at this level
-                            party: party,
-                            votes: votes,
-                            countyName: countyData.name,
-                            mode: 'PROCESSED'
-                        });
-                    });
-                    
-                    this.electionData.get(year).get(state).set(county, candidateArray);
-                });
-            });
-        });
-        
-        this.calculateResults();
-    }
-
-    normalizeParty(party) {
-        const partyLower = party.toLowerCase();
-        if (partyLower.includes('republican') || partyLower.includes('gop')) {
-            return 'REPUBLICAN';
-        } else if (partyLower.includes('democrat')) {
-            return 'DEMOCRAT';
-        } else {
-            // Return the actual party name instead of lumping into "OTHER"
-            return party.toUpperCase().trim();
-        }
-    }
-
-    calculateResults() {
-        this.electionData.forEach((yearData, year) => {
-            if (!this.stateResults.has(year)) {
-                this.stateResults.set(year, new Map());
-            }
-            if (!this.countyResults.has(year)) {
-                this.countyResults.set(year, new Map());
-            }
-            
-            yearData.forEach((stateData, stateName) => {
-                const stateVotes = new Map();
-                
-                stateData.forEach((countyData, countyFips) => {
-                    const countyVotes = new Map();
-                    let countyName = 'Unknown County';
-                    
-                    countyData.forEach(candidate => {
-                        const currentCountyVotes = countyVotes.get(candidate.party) || 0;
-                        countyVotes.set(candidate.party, currentCountyVotes + candidate.votes);
-                        const currentStateVotes = stateVotes.get(candidate.party) || 0;
-                        stateVotes.set(candidate.party, currentStateVotes + candidate.votes);
-                        if (candidate.countyName) {
-                            countyName = candidate.countyName;
-                        }
-                    });
-                    
-                    const countyWinner = this.determineWinner(countyVotes);
-                    
-                    // Handle Alaska district mapping: convert district FIPS (2001, 2010) to borough FIPS (02240, 02261)
-                    let storageKey = countyFips;
-                    if (stateName === 'ALASKA' && this.alaskaFipsMapping[countyFips]) {
-                        storageKey = this.alaskaFipsMapping[countyFips];
-                        console.log(`Alaska: mapped district ${countyFips} to borough ${storageKey}`);
-                    }
-                    
-                    // Convert Map to object for storage
-                    const countyVotesObj = {};
-                    countyVotes.forEach((votes, party) => {
-                        countyVotesObj[party] = votes;
-                    });
-                    
-                    this.countyResults.get(year).set(storageKey, {
-                        winner: countyWinner,
-                        votes: countyVotesObj,
-                        state: stateName,
-                        name: countyName,
-                        candidates: countyData
-                    });
-                });
-                
-                const stateWinner = this.determineWinner(stateVotes);
-                
-                // Convert Map to object for storage
-                const stateVotesObj = {};
-                stateVotes.forEach((votes, party) => {
-                    stateVotesObj[party] = votes;
-                });
-                
-                this.stateResults.get(year).set(stateName, {
-                    winner: stateWinner,
-                    votes: stateVotesObj
-                });
-                
-                // Debug logging for Alabama 2024 FIPS codes
-                if (year === '2024' && stateName === 'ALABAMA') {
-                    const alabamaKeys = Array.from(this.countyResults.get(year).keys()).filter(fips => {
-                        const result = this.countyResults.get(year).get(fips);
-                        return result && result.state === 'ALABAMA';
-                    }).slice(0, 10);
-                    console.log('Alabama 2024 county FIPS stored:', alabamaKeys);
-                    console.log('Sample key format:', typeof alabamaKeys[0], alabamaKeys[0]);
-                }
-            });
-        });
-    }
-
-    determineWinner(votes) {
-        let maxVotes = 0;
-        let winner = 'UNKNOWN';
-        
-        // Handle both Map objects and regular objects for backwards compatibility
-        const entries = votes instanceof Map ? votes.entries() : Object.entries(votes);
-        
-        for (const [party, voteCount] of entries) {
-            if (voteCount > maxVotes) {
-                maxVotes = voteCount;
-                winner = party;
-            }
+    formatElectoralAllocation(allocation) {
+        // "11" for winner-take-all states, "3 DEM / 1 REP" for split Maine/Nebraska results
+        if (allocation.size <= 1) {
+            return Array.from(allocation.values())[0]?.toString() || '0';
         }
-        
-        return winner;
+        return Array.from(allocation.entries())
+            .sort(([,a], [,b]) => b - a)
+            .map(([party, electoralVotes]) => `${electoralVotes} ${party.substring(0, 3)}`)
+            .join(' / ');
     }
 
     // Navigation methods
@@ -816,8 +980,9 @@ class ElectionMap {
         this.currentCounty = countyFips;
         
         try {
-            // Ensure county data is loaded for this state+year
+            // Ensure county data is loaded for this state+year (and its neighbours when crossing state lines)
             await this.processStateCountyData(this.currentYear, stateName);
+            await this.loadNeighborStates();
             
             // Re-enable full navigation with county view
             this.performNavigation();
@@ -828,6 +993,9 @@ class ElectionMap {
     }
 
     performNavigation() {
+        // Record the new view in the URL immediately so history entries match navigation order
+        this.updateUrl();
+        
         // Batch all navigation updates together with requestAnimationFrame
         if (this.navigationTimeout) {
             clearTimeout(this.navigationTimeout);
@@ -835,52 +1003,221 @@ class ElectionMap {
         
         this.navigationTimeout = setTimeout(() => {
             requestAnimationFrame(() => {
+                // The bubble size key only applies to levels that draw bubbles
+                this.updateLegend();
                 this.updateCurrentView();
                 this.updateSidebar();
                 this.updateBreadcrumb();
+                this.announce(this.getNavigationAnnouncement());
             });
         }, 10); // Small delay to batch rapid navigation calls
     }
 
-    async drillUp() {
+    getNavigationAnnouncement() {
         switch (this.currentLevel) {
-            case 'county':
-                // County > State-wide
-                await this.navigateToStatewide(this.currentState);
-                break;
-            case 'statewide':
-                // State-wide > State
-                this.navigateToState(this.currentState);
-                break;
-            case 'state':
-                // State > National
-                this.navigateToNational();
-                break;
             case 'national':
-                // Already at top level, do nothing
-                break;
+                return `National map, ${this.currentYear}. ${this.getYearStateResults().size} states.`;
+            case 'state':
+                return `${this.formatStateLabel(this.currentState)}, ${this.currentYear}. Press Enter to show its counties.`;
+            case 'statewide':
+                return `${this.formatStateLabel(this.currentState)} counties, ${this.currentYear}. ` +
+                    `${this.getStateCounties(this.currentState).length} counties.`;
+            case 'county': {
+                const result = this.getCountyResultByKey(this.currentCounty);
+                return result ? this.getRegionLabel(result.name, result) : `County view, ${this.currentYear}.`;
+            }
         }
+        return '';
     }
 
-    // Render methods for each view
-    renderNationalView() {
-        this.g.selectAll('*').remove();
-        this.lastRenderedCounty = null; // Reset county cache when leaving county view
-        
-        const yearResults = this.stateResults.get(this.currentYear) || new Map();
-        
-        this.g.selectAll('.state')
-            .data(topojson.feature(this.topology, this.topology.objects.states).features)
-            .enter().append('path')
-            .attr('class', 'state')
-            .attr('d', this.path)
-            .attr('fill', d => {
-                const stateName = this.getStateName(d.id);
-                const result = yearResults.get(stateName);
-                return result ? this.getPartyColor(result.winner) : '#666';
-            })
+    // URL state: #year=2020&level=county&state=AZ&county=04013
+    getUrlState() {
+        const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        const state = this.resolveStateParam(params.get('state'));
+        const county = params.get('county');
+        const defaultLevel = county ? 'county' : (state ? 'state' : 'national');
+        
+        return {
+            year: params.get('year'),
+            level: params.get('level') || defaultLevel,
+            state,
+            county
+        };
+    }
+
+    resolveStateParam(value) {
+        // Accept postal codes ("AZ") or full names ("ARIZONA", "new york")
+        if (!value) return null;
+        const upperValue = value.toUpperCase().trim();
+        if (this.statePostalCodes[upperValue]) return upperValue;
+        return Object.keys(this.statePostalCodes).find(name => this.statePostalCodes[name] === upperValue) || null;
+    }
+
+    isValidYear(year) {
+        return !!year && Array.from(document.getElementById('yearSelect').options).some(option => option.value === year);
+    }
+
+    buildUrlHash() {
+        const params = new URLSearchParams();
+        params.set('year', this.currentYear);
+        if (this.currentLevel !== 'national' && this.currentState) {
+            params.set('level', this.currentLevel);
+            params.set('state', this.statePostalCodes[this.currentState] || this.currentState);
+        }
+        if (this.currentLevel === 'county' && this.currentCounty) {
+            params.set('county', this.currentCounty);
+        }
+        return `#${params.toString()}`;
+    }
+
+    updateUrl(replace = false) {
+        // Skip while replaying history so back/forward doesn't push new entries
+        if (this.isRestoringUrlState) return;
+        
+        const hash = this.buildUrlHash();
+        if (window.location.hash !== hash) {
+            if (replace) {
+                history.replaceState(null, '', hash);
+            } else {
+                history.pushState(null, '', hash);
+            }
+        }
+    }
+
+    async restoreUrlState(urlState) {
+        this.isRestoringUrlState = true;
+        try {
+            if (this.isValidYear(urlState.year) && urlState.year !== this.currentYear) {
+                this.currentYear = urlState.year;
+                document.getElementById('yearSelect').value = urlState.year;
+                this.syncTimelineScrub();
+                await this.processYearData(urlState.year);
+                this.refreshMapColors();
+                this.updateSidebar();
+            }
+            
+            if (!urlState.state || urlState.level === 'national') {
+                this.navigateToNational();
+                return;
+            }
+            
+            switch (urlState.level) {
+                case 'statewide':
+                    await this.navigateToStatewide(urlState.state);
+                    break;
+                case 'county': {
+                    // Fall back to the state's counties if the linked county has no result this year
+                    await this.processStateCountyData(this.currentYear, urlState.state);
+                    const countyResult = this.getCountyResultByKey(urlState.county);
+                    if (countyResult && countyResult.state === urlState.state) {
+                        await this.navigateToCounty(urlState.state, urlState.county);
+                    } else {
+                        console.warn(`URL county ${urlState.county} not found in ${urlState.state} ${this.currentYear}`);
+                        await this.navigateToStatewide(urlState.state);
+                    }
+                    break;
+                }
+                default:
+                    this.navigateToState(urlState.state);
+            }
+        } catch (error) {
+            console.error('Error restoring URL state:', error);
+        } finally {
+            this.isRestoringUrlState = false;
+        }
+    }
+
+    async drillUp() {
+        switch (this.currentLevel) {
+            case 'county':
+                // County > State-wide
+                await this.navigateToStatewide(this.currentState);
+                break;
+            case 'statewide':
+                // State-wide > State
+                this.navigateToState(this.currentState);
+                break;
+            case 'state':
+                // State > National
+                this.navigateToNational();
+                break;
+            case 'national':
+                // Already at top level, do nothing
+                break;
+        }
+    }
+
+    // Render methods for each view
+    renderNationalView() {
+        const animateFrom = this.pendingLayoutTransition;
+        this.pendingLayoutTransition = null;
+        if (animateFrom) {
+            this.retireNationalLayer(animateFrom);
+        } else {
+            this.g.selectAll('*').remove();
+        }
+        this.lastRenderedCounty = null; // Reset county cache when leaving county view
+        
+        const yearResults = this.getYearStateResults();
+        
+        if (this.nationalLayout !== 'map') {
+            this.renderStateTiles(yearResults, animateFrom);
+        } else {
+            const states = this.g.selectAll('.state')
+                .data(topojson.feature(this.topology, this.topology.objects.states).features)
+                .enter().append('path')
+                .attr('class', 'state')
+                .attr('d', this.path)
+                .attr('fill', d => {
+                    if (this.paintMode.enabled) return this.getRaceCallColor(this.getStateName(d.id));
+                    if (this.swingMode.enabled || this.isBubbleModeActive()) return this.basemapColor;
+                    const stateName = this.getStateName(d.id);
+                    const result = yearResults.get(stateName);
+                    return this.getResultColor(result);
+                });
+            this.bindNationalStateEvents(states, yearResults);
+            
+            if (animateFrom) {
+                states.style('opacity', 0)
+                    .transition('layout')
+                    .duration(this.layoutTransitionMs)
+                    .style('opacity', null);
+            }
+            
+            if (this.swingMode.enabled && !this.paintMode.enabled) {
+                this.renderSwingArrows(this.getAllCounties(), 1);
+            } else if (this.isBubbleModeActive()) {
+                if (this.bubbleMode.unit === 'counties') {
+                    this.renderCountyBubbles(this.getAllCounties(), this.bubbleMaxRadius.counties);
+                } else {
+                    const bubbles = topojson.feature(this.topology, this.topology.objects.states).features.map(feature => {
+                        const stateName = this.getStateName(feature.id);
+                        return { feature, stateName, result: yearResults.get(stateName) };
+                    });
+                    this.renderVoteBubbles(bubbles, this.bubbleMaxRadius.states, 1, {
+                        onClick: (event, d) => this.navigateToState(d.stateName),
+                        onHover: (event, d) => this.showStateTooltip(event, d.stateName, d.result)
+                    });
+                }
+            }
+        }
+            
+        // Reset zoom to national view
+        this.svg.transition()
+            .duration(750)
+            .call(this.zoom.transform, d3.zoomIdentity);
+    }
+
+    bindNationalStateEvents(selection, yearResults) {
+        // Shared by the geographic map and the state tiles
+        selection
             .on('click', (event, d) => {
                 const stateName = this.getStateName(d.id);
+                if (this.paintMode.enabled) {
+                    this.cycleRaceCall(stateName, event.currentTarget);
+                    this.showRaceCallTooltip(event, stateName);
+                    return;
+                }
                 this.navigateToState(stateName);
             })
             .on('mouseover', (event, d) => {
@@ -888,6 +1225,10 @@ class ElectionMap {
                 if (this.isMobileDevice) return;
                 
                 const stateName = this.getStateName(d.id);
+                if (this.paintMode.enabled) {
+                    this.showRaceCallTooltip(event, stateName);
+                    return;
+                }
                 const result = yearResults.get(stateName);
                 this.showStateTooltip(event, stateName, result);
             })
@@ -898,11 +1239,156 @@ class ElectionMap {
                 // Clear any tooltips on touch devices
                 this.hideTooltip();
             });
-            
-        // Reset zoom to national view
-        this.svg.transition()
-            .duration(750)
-            .call(this.zoom.transform, d3.zoomIdentity);
+    }
+
+    // State tile layouts
+    setNationalLayout(layout) {
+        if (layout === this.nationalLayout) return;
+        this.pendingLayoutTransition = this.currentLevel === 'national' ? this.nationalLayout : null;
+        this.nationalLayout = layout;
+        this.syncSwingLayoutControls();
+        if (this.currentLevel === 'national') {
+            this.refreshMapColors();
+        }
+    }
+
+    syncSwingLayoutControls() {
+        // Swing arrows need geographic centroids, so swing and the tile layouts exclude each other
+        const swingToggle = document.getElementById('swingToggle');
+        const layoutSelect = document.getElementById('layoutSelect');
+        swingToggle.disabled = this.nationalLayout !== 'map';
+        swingToggle.parentElement.title = swingToggle.disabled ?
+            'Swing needs the geographic layout' : 'Compare against a base year';
+        layoutSelect.disabled = this.swingMode.enabled;
+        layoutSelect.title = layoutSelect.disabled ? 'Turn off swing to use state tiles' : 'National map layout';
+    }
+
+    getStateTiles(features, layout) {
+        // Tile centers fitted to the map area; 'ev' tiles have area proportional to electoral votes
+        const { width, height } = this.getMapSize();
+        const radius = Math.min(width * 0.92 / (12 * Math.sqrt(3)), height * 0.9 / 12.5);
+        const tileWidth = Math.sqrt(3) * radius;
+        const offsetX = (width - 12 * tileWidth) / 2 + tileWidth / 2;
+        const offsetY = (height - 12.5 * radius) / 2 + radius;
+        const electoralVotes = stateName => this.dataEngine.getStateElectoralVotes(stateName, this.currentYear);
+        const maxElectoralVotes = d3.max(features, d => electoralVotes(this.getStateName(d.id))) || 1;
+        
+        const tiles = new Map();
+        features.forEach(feature => {
+            const stateName = this.getStateName(feature.id);
+            const [column, row] = this.hexTileGrid[this.statePostalCodes[stateName]];
+            const scale = layout === 'ev' ? Math.sqrt(electoralVotes(stateName) / maxElectoralVotes) : 1;
+            tiles.set(stateName, {
+                x: offsetX + (column + (row % 2) * 0.5) * tileWidth,
+                y: offsetY + row * 1.5 * radius,
+                radius: radius * scale * 0.94 // Leave a gap between neighbours
+            });
+        });
+        return tiles;
+    }
+
+    getHexPath({ x, y, radius }) {
+        // Pointy-top hexagon
+        const corners = d3.range(6).map(i => {
+            const angle = Math.PI / 3 * i - Math.PI / 2;
+            return [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+        });
+        return `M${corners.map(corner => corner.join(',')).join('L')}Z`;
+    }
+
+    getTileTransform(tile, from) {
+        // Scale about `from` while moving the tile there; identity when `from` is the tile itself
+        return `translate(${from.x},${from.y}) scale(${from.radius / tile.radius}) translate(${-tile.x},${-tile.y})`;
+    }
+
+    renderStateTiles(yearResults, animateFrom) {
+        // Tiles are drawn at their final position so hit-testing and arrow-key navigation use real bounds;
+        // the entry animation is a transform that settles to identity
+        const features = topojson.feature(this.topology, this.topology.objects.states).features
+            .filter(d => this.hexTileGrid[this.statePostalCodes[this.getStateName(d.id)]]);
+        const tiles = this.getStateTiles(features, this.nationalLayout);
+        const previousTiles = animateFrom && animateFrom !== 'map' ? this.getStateTiles(features, animateFrom) : null;
+        this.renderedTiles = tiles;
+        
+        const startFrom = d => {
+            const stateName = this.getStateName(d.id);
+            const tile = tiles.get(stateName);
+            if (previousTiles) return previousTiles.get(stateName);
+            const [x, y] = this.path.centroid(d);
+            return isNaN(x) ? tile : { x, y, radius: tile.radius * 0.2 };
+        };
+        
+        const states = this.g.selectAll('.state')
+            .data(features)
+            .enter().append('path')
+            .attr('class', 'state state-tile')
+            .attr('d', d => this.getHexPath(tiles.get(this.getStateName(d.id))))
+            .attr('fill', d => {
+                const stateName = this.getStateName(d.id);
+                if (this.paintMode.enabled) return this.getRaceCallColor(stateName);
+                return this.getResultColor(yearResults.get(stateName));
+            });
+        this.bindNationalStateEvents(states, yearResults);
+        
+        const labels = this.g.append('g')
+            .attr('class', 'state-tile-labels')
+            .selectAll('.state-tile-label')
+            .data(features.filter(d => tiles.get(this.getStateName(d.id)).radius >= 8))
+            .enter().append('text')
+            .attr('class', 'state-tile-label')
+            .attr('x', d => tiles.get(this.getStateName(d.id)).x)
+            .attr('y', d => tiles.get(this.getStateName(d.id)).y)
+            .attr('font-size', d => Math.min(14, tiles.get(this.getStateName(d.id)).radius * 0.5))
+            .attr('font-weight', 600)
+            .attr('fill', '#ffffff')
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'central')
+            .text(d => this.statePostalCodes[this.getStateName(d.id)]);
+        
+        if (animateFrom) {
+            [states, labels].forEach(selection => selection
+                .attr('transform', d => {
+                    const tile = tiles.get(this.getStateName(d.id));
+                    return this.getTileTransform(tile, startFrom(d));
+                })
+                .transition('layout')
+                .duration(this.layoutTransitionMs)
+                .attr('transform', d => {
+                    const tile = tiles.get(this.getStateName(d.id));
+                    return this.getTileTransform(tile, tile);
+                })
+                .on('end', function() {
+                    d3.select(this).attr('transform', null);
+                }));
+        }
+    }
+
+    retireNationalLayer(fromLayout) {
+        // Keep the outgoing layout underneath while it fades; tiles also shrink back onto their states
+        const outgoing = this.g.insert('g', ':first-child')
+            .attr('class', 'layout-outgoing')
+            .style('pointer-events', 'none');
+        Array.from(this.g.node().childNodes)
+            .filter(node => node !== outgoing.node())
+            .forEach(node => outgoing.node().appendChild(node));
+        outgoing.selectAll('.state')
+            .classed('state', false)
+            .attr('tabindex', null);
+        
+        if (fromLayout !== 'map' && this.nationalLayout === 'map') {
+            outgoing.selectAll('.state-tile, .state-tile-label')
+                .transition('layout')
+                .duration(this.layoutTransitionMs)
+                .attr('transform', d => {
+                    const tile = this.renderedTiles.get(this.getStateName(d.id));
+                    const [x, y] = this.path.centroid(d);
+                    return !tile || isNaN(x) ? null : this.getTileTransform(tile, { x, y, radius: tile.radius * 0.2 });
+                });
+        }
+        outgoing.transition('layout')
+            .duration(this.layoutTransitionMs)
+            .style('opacity', 0)
+            .remove();
     }
 
     renderStateView() {
@@ -926,8 +1412,8 @@ class ElectionMap {
             .attr('class', 'state')
             .attr('d', this.path)
             .attr('fill', () => {
-                const result = this.stateResults.get(this.currentYear)?.get(this.currentState);
-                return result ? this.getPartyColor(result.winner) : '#666';
+                const result = this.getYearStateResults().get(this.currentState);
+                return this.getResultColor(result);
             })
             .attr('stroke', '#ffffff')
             .attr('stroke-width', 0.25)
@@ -936,13 +1422,21 @@ class ElectionMap {
             });
     }
 
+    getAllCounties() {
+        // Convert county TopoJSON to GeoJSON once; used by statewide and national overlays
+        if (!this.allCountyFeatures) {
+            this.allCountyFeatures = topojson.feature(this.countiesTopology, this.countiesTopology.objects.counties).features;
+        }
+        return this.allCountyFeatures;
+    }
+
     getStateCounties(stateName) {
         // Cache TopoJSON county features by state to avoid repeated processing
         if (this.stateCountiesCache.has(stateName)) {
             return this.stateCountiesCache.get(stateName);
         }
         
-        const stateCounties = topojson.feature(this.countiesTopology, this.countiesTopology.objects.counties).features
+        const stateCounties = this.getAllCounties()
             .filter(d => {
                 const stateFips = Math.floor(d.id / 1000).toString().padStart(2, '0');
                 const featureStateName = this.getStateNameFromFips(stateFips);
@@ -1020,8 +1514,9 @@ class ElectionMap {
                 return cachedPath || this.path(d);
             })
             .attr('fill', d => {
+                if (this.swingMode.enabled || this.isBubbleModeActive()) return this.basemapColor;
                 const lookup = statewideCountyLookups.get(d.id.toString());
-                return lookup ? this.getPartyColor(lookup.result.winner) : '#666';
+                return this.getResultColor(lookup?.result);
             })
             .attr('stroke', '#ffffff')
             .attr('stroke-width', 0.15)
@@ -1032,7 +1527,7 @@ class ElectionMap {
                 // For Alaska, also check if this TopoJSON ID matches a mapped borough
                 let countyFips = lookup?.format;
                 if (!countyFips && this.currentState === 'ALASKA') {
-                    const result = this.countyResults.get(this.currentYear)?.get(topoId);
+                    const result = this.getYearCountyResults().get(topoId);
                     if (result && result.state === this.currentState) {
                         countyFips = topoId;
                     }
@@ -1041,14 +1536,7 @@ class ElectionMap {
                 if (countyFips) {
                     await this.navigateToCounty(this.currentState, countyFips);
                 } else {
-                    console.warn(`No county data found for TopoJSON ID: ${topoId} in ${this.currentState}`);
-                    console.log('Available county results for this state:', 
-                        Array.from(this.countyResults.get(this.currentYear)?.keys() || [])
-                            .filter(fips => {
-                                const result = this.countyResults.get(this.currentYear)?.get(fips);
-                                return result && result.state === this.currentState;
-                            }).slice(0, 10)
-                    );
+                    console.warn(`No county data found for TopoJSON ID: ${topoId} in ${this.currentState}; see the data audit panel`);
                 }
             })
             .on('mouseover', (event, d) => {
@@ -1057,7 +1545,9 @@ class ElectionMap {
                 
                 const lookup = statewideCountyLookups.get(d.id.toString());
                 
-                if (lookup?.result) {
+                if (this.swingMode.enabled) {
+                    this.showSwingTooltip(event, d);
+                } else if (lookup?.result) {
                     this.showCountyTooltip(event, lookup.result);
                 }
             })
@@ -1068,6 +1558,21 @@ class ElectionMap {
                 // Clear any tooltips on touch devices
                 this.hideTooltip();
             });
+            
+        if (this.swingMode.enabled && stateFeature) {
+            this.renderSwingArrows(stateCounties, this.getStatewideLengthScale(stateFeature));
+        } else if (this.isBubbleModeActive() && stateFeature) {
+            const lengthScale = this.getStatewideLengthScale(stateFeature);
+            this.renderCountyBubbles(stateCounties, this.bubbleMaxRadius.statewide * lengthScale, lengthScale);
+        }
+    }
+
+    getStatewideLengthScale(stateFeature) {
+        // Overlays are drawn in map units, so shrink them by roughly the zoom factor of the state view
+        const [[x0, y0], [x1, y1]] = this.path.bounds(stateFeature);
+        const rect = this.getMapSize();
+        const zoomFactor = Math.min(rect.width / (x1 - x0), rect.height / (y1 - y0)) * 0.8;
+        return 1 / Math.max(zoomFactor, 1);
     }
 
     findCountyFips(topoId, stateName) {
@@ -1077,42 +1582,10 @@ class ElectionMap {
             return this.countyFipsCache.get(cacheKey);
         }
         
-        // Apply Georgia FIPS code corrections if needed
-        let correctedTopoId = topoId;
-        if (stateName === 'GEORGIA' && this.georgiaFipsMapping[topoId]) {
-            correctedTopoId = this.georgiaFipsMapping[topoId];
-            console.log(`Georgia FIPS correction: ${topoId} -> ${correctedTopoId}`);
-        }
-        
-        const formats = [
-            correctedTopoId,                           // "01009" - full 5-digit (possibly corrected)
-            topoId,                                    // Original TopoJSON ID as fallback
-            parseInt(correctedTopoId).toString(),      // "1009" - remove leading zero
-            correctedTopoId.substring(2),              // "009" - county part only  
-            parseInt(correctedTopoId.substring(2)).toString() // "9" - county without leading zeros
-        ];
-        
-        let result = null;
-        for (const format of formats) {
-            const countyResult = this.countyResults.get(this.currentYear)?.get(format);
-            if (countyResult && countyResult.state === stateName) {
-                result = { format, result: countyResult };
-                break;
-            }
-        }
-        
-        // Debug logging for failed lookups
-        if (!result && stateName === 'GEORGIA') {
-            console.warn(`Georgia county lookup failed for TopoJSON ID: ${topoId}`);
-            console.log('Tried formats:', formats);
-            console.log('Sample Georgia FIPS in data:', 
-                Array.from(this.countyResults.get(this.currentYear)?.keys() || [])
-                    .filter(fips => {
-                        const countyResult = this.countyResults.get(this.currentYear)?.get(fips);
-                        return countyResult && countyResult.state === 'GEORGIA';
-                    }).slice(0, 5)
-            );
-        }
+        // Crosswalked counties are keyed by their map FIPS, the rest by whichever FIPS format the CSV used.
+        // Failed matches are listed in the data audit panel.
+        const match = this.getResultsEngine().matchCountyResult(this.currentYear, topoId, stateName);
+        const result = match ? { format: match.key, result: match.result } : null;
         
         // Cache both successful and failed lookups
         this.countyFipsCache.set(cacheKey, result);
@@ -1124,31 +1597,28 @@ class ElectionMap {
         if (this.lastRenderedCounty === `${this.currentState}-${this.currentCounty}`) {
             // Just update the selected county styling
             this.g.selectAll('.county')
-                .attr('stroke-width', d => {
-                    const lookup = this.findCountyFips(d.id.toString(), this.currentState);
-                    return (lookup && lookup.format === this.currentCounty) ? 2 : 0.15;
-                })
-                .classed('selected-county', d => {
-                    const lookup = this.findCountyFips(d.id.toString(), this.currentState);
-                    return lookup && lookup.format === this.currentCounty;
-                });
+                .attr('stroke-width', d => this.isSelectedCounty(this.getCountyTarget(d)) ? 2 : 0.15)
+                .classed('selected-county', d => this.isSelectedCounty(this.getCountyTarget(d)));
             return;
         }
         
-        // Use cached county features
+        // Use cached county features, plus the neighbours over the state line when crossing is on
         const stateCounties = this.getStateCounties(this.currentState);
+        const viewCounties = this.crossStateNavigation
+            ? stateCounties.concat(this.getOutOfStateNeighbors(stateCounties))
+            : stateCounties;
         
         // OPTIMIZED: Single loop to pre-compute lookups AND find selected county
         const countyLookups = new Map();
         let selectedCountyFeature = null;
         
-        stateCounties.forEach(county => {
+        viewCounties.forEach(county => {
             const topoId = county.id.toString();
-            const lookup = this.findCountyFips(topoId, this.currentState);
+            const lookup = this.getCountyTarget(county);
             countyLookups.set(topoId, lookup);
             
             // While we're looping, find the selected county
-            if (!selectedCountyFeature && lookup && lookup.format === this.currentCounty) {
+            if (!selectedCountyFeature && this.isSelectedCounty(lookup)) {
                 selectedCountyFeature = county;
             }
         });
@@ -1168,7 +1638,7 @@ class ElectionMap {
         this.zoomToBounds(bounds, 0.6, true); // Fast zoom with reduced duration
         
         // OPTION A OPTIMIZATION: Smart DOM updates instead of destroy/rebuild
-        const counties = this.g.selectAll('.county').data(stateCounties, d => d.id);
+        const counties = this.g.selectAll('.county').data(viewCounties, d => d.id);
         
         // Remove counties that no longer exist (rare)
         counties.exit().remove();
@@ -1177,18 +1647,21 @@ class ElectionMap {
         const newCounties = counties.enter().append('path')
             .attr('class', 'county')
             .on('click', (event, d) => {
-                // Disable county-to-county navigation
+                // County-to-county navigation: move the selection with the fast zoom path
                 event.stopPropagation();
+                const target = this.getCountyTarget(d);
+                if (!target.countyFips || this.isSelectedCounty(target)) return;
+                this.navigateToCounty(target.stateName, target.countyFips);
             })
             .on('mouseover', (event, d) => {
                 // Skip tooltips on mobile to prevent sticky hover
                 if (this.isMobileDevice) return;
                 
-                const lookup = countyLookups.get(d.id.toString());
+                const lookup = this.getCountyTarget(d); // Looked up per hover: the handler outlives this render
                 
                 if (lookup?.result) {
                     const result = lookup.result;
-                    this.showTooltip(event, `${result.name}<br/>${result.winner}: ${result.votes[result.winner].toLocaleString()} votes`);
+                    this.showTooltip(event, `${result.name}<br/>${this.getPartySwatch(result.winner)}${this.getWinnerLabel(result)}: ${result.votes[result.winner].toLocaleString()} votes`);
                 }
             })
             .on('mouseleave', () => {
@@ -1205,15 +1678,15 @@ class ElectionMap {
         allCounties.each(function(d) {
             const element = d3.select(this);
             const lookup = countyLookups.get(d.id.toString());
-            const isSelected = lookup && lookup.format === self.currentCounty;
+            const isSelected = self.isSelectedCounty(lookup);
             
             // Use cached path if available for better performance
-            const cachedPath = self.getCountyPath(self.currentState, d.id);
+            const cachedPath = self.getCountyPath(lookup.stateName, d.id);
             
             // Batch all attribute updates to minimize DOM reflow
             element
                 .attr('d', cachedPath || self.path(d))
-                .attr('fill', lookup ? self.getPartyColor(lookup.result.winner) : '#666')
+                .attr('fill', self.getResultColor(lookup?.result))
                 .attr('stroke', '#ffffff')
                 .attr('stroke-width', isSelected ? 2 : 0.15)
                 .classed('selected-county', isSelected);
@@ -1223,25 +1696,2061 @@ class ElectionMap {
         this.lastRenderedCounty = `${this.currentState}-${this.currentCounty}`;
     }
 
-    zoomToBounds(bounds, paddingFactor = 0.8, fastTransition = false) {
-        const [[x0, y0], [x1, y1]] = bounds;
-        const dx = x1 - x0;
-        const dy = y1 - y0;
-        const x = (x0 + x1) / 2;
-        const y = (y0 + y1) / 2;
-        
-        const container = document.getElementById('map-container');
-        const rect = container.getBoundingClientRect();
-        
-        const scale = Math.min(rect.width / dx, rect.height / dy) * paddingFactor;
-        const translate = [rect.width / 2 - scale * x, rect.height / 2 - scale * y];
+    zoomToBounds(bounds, paddingFactor = 0.8, fastTransition = false) {
+        const [[x0, y0], [x1, y1]] = bounds;
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const x = (x0 + x1) / 2;
+        const y = (y0 + y1) / 2;
+        
+        const rect = this.getMapSize();
+        
+        const scale = Math.min(rect.width / dx, rect.height / dy) * paddingFactor;
+        const translate = [rect.width / 2 - scale * x, rect.height / 2 - scale * y];
+        
+        // Use faster transition for county-to-county navigation
+        const duration = fastTransition ? 150 : 750;
+        
+        this.svg.transition()
+            .duration(duration)
+            .call(this.zoom.transform, d3.zoomIdentity.translate(translate[0], translate[1]).scale(scale));
+    }
+
+    // Swing mode: change in two-party margin between the base year and the current year
+    formatMargin(margin) {
+        if (margin === null) return 'n/a';
+        if (Math.abs(margin) < 0.05) return 'Even';
+        return `${margin > 0 ? 'R' : 'D'}+${Math.abs(margin).toFixed(1)}`;
+    }
+
+    computeCountySwing(countyFeatures, fromYear, toYear) {
+        // Counties missing in either year are returned separately so they can be flagged
+        const shifts = [];
+        const missing = [];
+        
+        countyFeatures.forEach(feature => {
+            const topoId = feature.id.toString();
+            const stateName = this.getStateName(topoId.substring(0, 2));
+            const fromResult = this.findCountyResult(topoId, stateName, fromYear);
+            const toResult = this.findCountyResult(topoId, stateName, toYear);
+            const fromMargin = fromResult ? this.dataEngine.getTwoPartyMargin(fromResult) : null;
+            const toMargin = toResult ? this.dataEngine.getTwoPartyMargin(toResult) : null;
+            const name = toResult?.name || fromResult?.name || feature.properties?.name || topoId;
+            
+            if (fromMargin === null || toMargin === null) {
+                const missingYears = [];
+                if (fromMargin === null) missingYears.push(fromYear);
+                if (toMargin === null) missingYears.push(toYear);
+                missing.push({ feature, topoId, stateName, name, missingYears });
+                return;
+            }
+            
+            shifts.push({
+                feature,
+                topoId,
+                stateName,
+                name,
+                fromMargin,
+                toMargin,
+                shift: toMargin - fromMargin,
+                votes: Object.values(toResult.votes).reduce((a, b) => a + b, 0)
+            });
+        });
+        
+        return { shifts, missing };
+    }
+
+    // County-to-county navigation
+    getCountyTarget(feature) {
+        // State, results key and result for a county feature in any state (Alaska boroughs are keyed by TopoJSON ID)
+        const topoId = feature.id.toString();
+        const stateName = this.getStateName(topoId.substring(0, 2));
+        const lookup = this.findCountyFips(topoId, stateName);
+        if (!lookup && stateName === 'ALASKA' && this.getYearCountyResults().get(topoId)?.state === 'ALASKA') {
+            return { stateName, countyFips: topoId, result: this.getYearCountyResults().get(topoId) };
+        }
+        return { stateName, countyFips: lookup?.format || null, result: lookup?.result || null };
+    }
+
+    isSelectedCounty(target) {
+        return !!target && target.stateName === this.currentState && !!target.countyFips && target.countyFips === this.currentCounty;
+    }
+
+    getCountyNeighbors(feature) {
+        // Adjacent county features: counties sharing an arc in the county topology
+        if (!this.countyNeighborIndex) {
+            const geometries = this.countiesTopology.objects.counties.geometries;
+            const neighbors = topojson.neighbors(geometries);
+            this.countyNeighborIndex = new Map(geometries.map((geometry, i) => [geometry.id.toString(), neighbors[i]]));
+        }
+        const features = this.getAllCounties();
+        return (this.countyNeighborIndex.get(feature.id.toString()) || []).map(i => features[i]);
+    }
+
+    getOutOfStateNeighbors(stateCounties) {
+        const inState = new Set(stateCounties.map(d => d.id.toString()));
+        const outside = new Map();
+        stateCounties.forEach(county => this.getCountyNeighbors(county).forEach(neighbor => {
+            if (!inState.has(neighbor.id.toString())) outside.set(neighbor.id.toString(), neighbor);
+        }));
+        return Array.from(outside.values());
+    }
+
+    async loadNeighborStates(year = this.currentYear) {
+        // County results are processed per state, so load the states just over the border before drawing them
+        if (!this.crossStateNavigation || !this.currentState) return;
+        const states = new Set(this.getOutOfStateNeighbors(this.getStateCounties(this.currentState))
+            .map(neighbor => this.getStateName(neighbor.id.toString().substring(0, 2)))
+            .filter(Boolean));
+        await Promise.all(Array.from(states).map(stateName => this.processStateCountyData(year, stateName)));
+    }
+
+    resolveSelectedCounty() {
+        // The selected county's results key can change between years (Connecticut's planning regions)
+        const selected = this.g.select('.county.selected-county');
+        if (selected.empty()) return;
+        const target = this.getCountyTarget(selected.datum());
+        if (target.countyFips && target.stateName === this.currentState) {
+            this.currentCounty = target.countyFips;
+        }
+    }
+
+    getCompassNeighbors() {
+        // The selected county's neighbours on screen, clockwise from north
+        const selected = this.g.select('.county.selected-county');
+        if (selected.empty()) return [];
+        const [x0, y0] = this.path.centroid(selected.datum());
+        const neighborIds = new Set(this.getCountyNeighbors(selected.datum()).map(d => d.id.toString()));
+        const bearing = d => {
+            const [x, y] = this.path.centroid(d);
+            return (Math.atan2(x - x0, y0 - y) + 2 * Math.PI) % (2 * Math.PI);
+        };
+        return this.g.selectAll('.county')
+            .filter(d => neighborIds.has(d.id.toString()))
+            .nodes()
+            .sort((a, b) => bearing(d3.select(a).datum()) - bearing(d3.select(b).datum()));
+    }
+
+    findNeighborRegion(region, key) {
+        // Right/Down step clockwise through the neighbours, Left/Up counter-clockwise
+        const neighbors = this.getCompassNeighbors();
+        if (neighbors.length === 0) return null;
+        const step = key === 'ArrowRight' || key === 'ArrowDown' ? 1 : -1;
+        const index = neighbors.indexOf(region);
+        if (index === -1) return step === 1 ? neighbors[0] : neighbors[neighbors.length - 1];
+        return neighbors[(index + step + neighbors.length) % neighbors.length];
+    }
+
+    getCountyCentroid(feature) {
+        const topoId = feature.id.toString();
+        if (!this.countyCentroidCache.has(topoId)) {
+            this.countyCentroidCache.set(topoId, this.path.centroid(feature));
+        }
+        return this.countyCentroidCache.get(topoId);
+    }
+
+    renderSwingArrows(countyFeatures, lengthScale) {
+        const { shifts, missing } = this.computeCountySwing(countyFeatures, this.swingMode.baseYear, this.currentYear);
+        const maxVotes = d3.max(shifts, d => d.votes) || 1;
+        const arrowAngle = Math.PI / 6; // Arrows tilt 30° upward, NYT-style
+        const unitsPerPoint = 0.8 * lengthScale;
+        const maxWidth = 2.5 * lengthScale;
+        
+        this.ensureSwingArrowMarkers();
+        
+        const layer = this.g.append('g')
+            .attr('class', 'swing-layer')
+            .style('pointer-events', 'none');
+        
+        // Rightward red arrows for shifts toward Republicans, leftward blue toward Democrats
+        layer.selectAll('.swing-arrow')
+            .data(shifts.filter(d => Math.abs(d.shift) >= 0.1 && !isNaN(this.getCountyCentroid(d.feature)[0])))
+            .enter().append('line')
+            .attr('class', 'swing-arrow')
+            .each((d, i, nodes) => {
+                const [cx, cy] = this.getCountyCentroid(d.feature);
+                const direction = d.shift > 0 ? 1 : -1;
+                const length = Math.min(Math.abs(d.shift), 40) * unitsPerPoint;
+                const party = d.shift > 0 ? 'REPUBLICAN' : 'DEMOCRAT';
+                d3.select(nodes[i])
+                    .attr('x1', cx)
+                    .attr('y1', cy)
+                    .attr('x2', cx + direction * length * Math.cos(arrowAngle))
+                    .attr('y2', cy - length * Math.sin(arrowAngle))
+                    .attr('stroke', this.getPartyColor(party))
+                    .attr('stroke-width', Math.max(0.15 * lengthScale, Math.sqrt(d.votes / maxVotes) * maxWidth))
+                    .attr('marker-end', `url(#swing-arrowhead-${party.toLowerCase()})`);
+            });
+        
+        // Flag counties without a comparable result in one of the years
+        layer.selectAll('.swing-missing')
+            .data(missing.filter(d => !isNaN(this.getCountyCentroid(d.feature)[0])))
+            .enter().append('circle')
+            .attr('class', 'swing-missing')
+            .attr('cx', d => this.getCountyCentroid(d.feature)[0])
+            .attr('cy', d => this.getCountyCentroid(d.feature)[1])
+            .attr('r', 1.5 * lengthScale)
+            .attr('stroke-width', 0.4 * lengthScale);
+    }
+
+    ensureSwingArrowMarkers() {
+        // Arrowhead markers live in <defs> outside the zoomed group so they survive redraws
+        let defs = this.svg.select('defs');
+        if (defs.empty()) defs = this.svg.insert('defs', ':first-child');
+        
+        ['REPUBLICAN', 'DEMOCRAT'].forEach(party => {
+            const id = `swing-arrowhead-${party.toLowerCase()}`;
+            if (!defs.select(`#${id}`).empty()) {
+                defs.select(`#${id} path`).attr('fill', this.getPartyColor(party)); // Palette may have changed
+                return;
+            }
+            defs.append('marker')
+                .attr('id', id)
+                .attr('viewBox', '0 0 10 10')
+                .attr('refX', 5)
+                .attr('refY', 5)
+                .attr('markerWidth', 3)
+                .attr('markerHeight', 3)
+                .attr('orient', 'auto')
+                .append('path')
+                .attr('d', 'M 0 0 L 10 5 L 0 10 z')
+                .attr('fill', this.getPartyColor(party));
+        });
+    }
+
+    // Bubble mode
+    isBubbleModeActive() {
+        return this.bubbleMode.enabled && !this.swingMode.enabled && !this.paintMode.enabled &&
+            ((this.currentLevel === 'national' && this.nationalLayout === 'map') || this.currentLevel === 'statewide');
+    }
+
+    getBubbleValue(result) {
+        if (!result || result.winner === 'UNKNOWN') return 0;
+        const sortedVotes = Object.values(result.votes).sort((a, b) => b - a);
+        if (this.bubbleMode.sizeBy === 'margin') return sortedVotes[0] - (sortedVotes[1] || 0);
+        return sortedVotes.reduce((a, b) => a + b, 0);
+    }
+
+    renderCountyBubbles(countyFeatures, maxRadius, lengthScale = 1) {
+        // County circles behave like the statewide county paths: tooltip on hover, county view on click
+        const bubbles = countyFeatures.map(feature => ({ feature, ...this.getCountyTarget(feature) }));
+        
+        this.renderVoteBubbles(bubbles, maxRadius, lengthScale, {
+            onClick: (event, d) => {
+                if (d.countyFips) this.navigateToCounty(d.stateName, d.countyFips);
+            },
+            onHover: (event, d) => this.showCountyTooltip(event, d.result)
+        });
+    }
+
+    renderVoteBubbles(bubbles, maxRadius, lengthScale, { onClick, onHover }) {
+        // Circle area is proportional to the value; big circles go first so small ones stay on top
+        const sized = bubbles
+            .map(d => ({ ...d, value: this.getBubbleValue(d.result), center: this.path.centroid(d.feature) }))
+            .filter(d => d.value > 0 && !isNaN(d.center[0]))
+            .sort((a, b) => b.value - a.value);
+        const radius = d3.scaleSqrt()
+            .domain([0, d3.max(sized, d => d.value) || 1])
+            .range([0, maxRadius]);
+        
+        this.g.append('g')
+            .attr('class', 'bubble-layer')
+            .selectAll('.vote-bubble')
+            .data(sized)
+            .enter().append('circle')
+            .attr('class', 'vote-bubble')
+            .attr('cx', d => d.center[0])
+            .attr('cy', d => d.center[1])
+            .attr('r', d => radius(d.value))
+            .attr('fill', d => this.getResultColor(d.result))
+            .attr('stroke-width', 0.5 * lengthScale)
+            .on('click', (event, d) => {
+                event.stopPropagation();
+                onClick(event, d);
+            })
+            .on('mouseover', (event, d) => {
+                // Skip tooltips on mobile to prevent sticky hover
+                if (this.isMobileDevice || !d.result) return;
+                onHover(event, d);
+            })
+            .on('mouseout', () => {
+                this.hideTooltip();
+            });
+    }
+
+    getBubbleLegendItem() {
+        if (!this.isBubbleModeActive()) return '';
+        const sizeLabel = this.bubbleMode.sizeBy === 'margin' ? 'vote margin' : 'total votes';
+        return `
+            <div class="legend-item">
+                <span class="legend-bubble"></span>
+                <span>Circle area: ${sizeLabel}</span>
+            </div>
+        `;
+    }
+
+    getStateSwingLine(stateName, result) {
+        if (!this.swingMode.enabled) return '';
+        const baseResult = this.stateResults.get(this.swingMode.baseYear)?.get(stateName);
+        const fromMargin = baseResult ? this.dataEngine.getTwoPartyMargin(baseResult) : null;
+        const toMargin = this.dataEngine.getTwoPartyMargin(result);
+        if (fromMargin === null || toMargin === null) {
+            return `<br/>Swing: no ${this.swingMode.baseYear} result`;
+        }
+        return `<br/>Swing since ${this.swingMode.baseYear}: ${this.formatMargin(toMargin - fromMargin)}`;
+    }
+
+    showSwingTooltip(event, feature) {
+        const { shifts, missing } = this.computeCountySwing([feature], this.swingMode.baseYear, this.currentYear);
+        if (shifts.length > 0) {
+            const d = shifts[0];
+            this.showTooltip(event, `
+                <strong>${d.name}</strong><br/>
+                ${this.swingMode.baseYear}: ${this.formatMargin(d.fromMargin)}<br/>
+                ${this.currentYear}: ${this.formatMargin(d.toMargin)}<br/>
+                Shift: ${this.formatMargin(d.shift)}
+            `);
+        } else if (missing.length > 0) {
+            const d = missing[0];
+            this.showTooltip(event, `<strong>${d.name}</strong><br/>No comparable result in ${d.missingYears.join(' and ')}`);
+        }
+    }
+
+    renderSwingSummary() {
+        // National scope covers every county; state levels only that state's counties
+        const countyFeatures = this.currentLevel === 'national'
+            ? this.getAllCounties()
+            : this.getStateCounties(this.currentState);
+        const { shifts, missing } = this.computeCountySwing(countyFeatures, this.swingMode.baseYear, this.currentYear);
+        
+        const describe = d => this.currentLevel === 'national'
+            ? `${d.name}, ${this.statePostalCodes[d.stateName] || d.stateName}`
+            : d.name;
+        const renderMovers = (movers, party) => movers.map(d => `
+            <div class="swing-mover">
+                <span>${describe(d)}</span>
+                <span class="swing-shift ${this.getPartyCssClass(party)}">${this.formatMargin(d.shift)}</span>
+            </div>
+        `).join('');
+        
+        const towardRepublicans = shifts.filter(d => d.shift > 0).sort((a, b) => b.shift - a.shift).slice(0, this.swingMoverCount);
+        const towardDemocrats = shifts.filter(d => d.shift < 0).sort((a, b) => a.shift - b.shift).slice(0, this.swingMoverCount);
+        
+        const missingList = missing.length > 0 ? `
+            <div class="swing-missing-list">
+                <strong>${missing.length} counties not compared</strong> (missing in one year):
+                ${missing.slice(0, 20).map(d => `${describe(d)} (${d.missingYears.join(', ')})`).join('; ')}${missing.length > 20 ? '…' : ''}
+            </div>
+        ` : '';
+        
+        return `
+            <div class="swing-summary">
+                <h3>Swing ${this.swingMode.baseYear} → ${this.currentYear}</h3>
+                <div class="swing-section-title">Biggest shifts toward Republicans</div>
+                ${renderMovers(towardRepublicans, 'REPUBLICAN') || '<div class="swing-mover">None</div>'}
+                <div class="swing-section-title">Biggest shifts toward Democrats</div>
+                ${renderMovers(towardDemocrats, 'DEMOCRAT') || '<div class="swing-mover">None</div>'}
+                ${missingList}
+            </div>
+        `;
+    }
+
+    // What-if scenarios
+    setupScenarioPanel() {
+        const panel = document.getElementById('scenario-panel');
+        const swingInput = document.getElementById('scenarioSwing');
+        const turnoutInput = document.getElementById('scenarioTurnout');
+        const baseYearSelect = document.getElementById('scenarioBaseYear');
+        const stateSelect = document.getElementById('scenarioState');
+        const yearSelect = document.getElementById('yearSelect');
+        
+        baseYearSelect.innerHTML = yearSelect.innerHTML;
+        baseYearSelect.value = this.currentYear;
+        stateSelect.innerHTML = Object.keys(this.statePostalCodes).sort()
+            .map(stateName => `<option value="${stateName}">${stateName}</option>`)
+            .join('');
+        
+        document.getElementById('scenarioButton').addEventListener('click', () => {
+            baseYearSelect.value = this.currentYear;
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+        document.getElementById('scenarioClose').addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+        
+        // The base year is the map's year; changing it here drives the main year selector
+        baseYearSelect.addEventListener('change', () => {
+            yearSelect.value = baseYearSelect.value;
+            yearSelect.dispatchEvent(new Event('change'));
+        });
+        yearSelect.addEventListener('change', () => {
+            baseYearSelect.value = yearSelect.value;
+        });
+        
+        swingInput.addEventListener('input', () => {
+            this.scenario.uniformSwing = parseFloat(swingInput.value) || 0;
+            this.applyScenario();
+        });
+        turnoutInput.addEventListener('input', () => {
+            const turnoutChange = parseFloat(turnoutInput.value);
+            this.scenario.turnoutChange = isNaN(turnoutChange) ? 0 : Math.max(-100, turnoutChange);
+            this.applyScenario();
+        });
+        
+        document.getElementById('scenarioStateAdd').addEventListener('click', () => {
+            const swing = parseFloat(document.getElementById('scenarioStateSwing').value);
+            if (isNaN(swing)) return;
+            this.scenario.stateSwings[stateSelect.value] = swing;
+            this.applyScenario();
+        });
+        document.getElementById('scenarioStateList').addEventListener('click', (e) => {
+            const stateName = e.target.dataset.state;
+            if (!stateName) return;
+            delete this.scenario.stateSwings[stateName];
+            this.applyScenario();
+        });
+        
+        document.getElementById('scenarioReset').addEventListener('click', () => this.resetScenario());
+        document.getElementById('results-summary').addEventListener('click', (e) => {
+            if (e.target.classList.contains('scenario-reset-link')) this.resetScenario();
+        });
+    }
+
+    isScenarioActive() {
+        return this.scenario.uniformSwing !== 0 || this.scenario.turnoutChange !== 0 ||
+            Object.keys(this.scenario.stateSwings).length > 0;
+    }
+
+    getResultsEngine(year = this.currentYear) {
+        // Results shown on the map: the simulated year while a scenario is active, otherwise the real data
+        if (!this.isScenarioActive() || year !== this.currentYear || !this.processedYears.has(year)) {
+            return this.dataEngine;
+        }
+        if (!this.scenario.engine || this.scenario.engineYear !== year) {
+            this.scenario.engine = this.dataEngine.simulateScenario(year, this.scenario);
+            this.scenario.engineYear = year;
+            // Cached matches point at the previous result objects
+            this.countyFipsCache.clear();
+            this.fipsMatchCache.clear();
+        }
+        return this.scenario.engine;
+    }
+
+    getYearStateResults(year = this.currentYear) {
+        return this.getResultsEngine(year).stateResults.get(year) || new Map();
+    }
+
+    getYearCountyResults(year = this.currentYear) {
+        return this.getResultsEngine(year).countyResults.get(year) || new Map();
+    }
+
+    getCountyResultByKey(countyKey, year = this.currentYear) {
+        // Selected-county keys are data FIPS, or map FIPS for counties resolved through the crosswalk
+        return this.getResultsEngine(year).resolveCountyResult(year, countyKey) || this.getYearCountyResults(year).get(countyKey);
+    }
+
+    applyScenario() {
+        // Recompute from the real results and redraw through the normal render path
+        this.scenario.engine = null;
+        this.countyFipsCache.clear();
+        this.fipsMatchCache.clear();
+        
+        document.getElementById('scenarioSwingValue').textContent = this.formatMargin(this.scenario.uniformSwing);
+        document.getElementById('scenarioStateList').innerHTML = Object.entries(this.scenario.stateSwings)
+            .map(([stateName, swing]) => `
+                <span class="scenario-state-chip">
+                    ${this.statePostalCodes[stateName] || stateName} ${this.formatMargin(swing)}
+                    <button data-state="${stateName}" title="Remove">×</button>
+                </span>
+            `).join('');
+        document.getElementById('map-container').classList.toggle('scenario-active', this.isScenarioActive());
+        
+        this.refreshMapColors();
+        this.updateSidebar();
+    }
+
+    resetScenario() {
+        this.scenario.uniformSwing = 0;
+        this.scenario.turnoutChange = 0;
+        this.scenario.stateSwings = {};
+        document.getElementById('scenarioSwing').value = 0;
+        document.getElementById('scenarioTurnout').value = 0;
+        this.applyScenario();
+    }
+
+    renderScenarioBanner() {
+        const parts = [`uniform swing ${this.formatMargin(this.scenario.uniformSwing)}`];
+        if (this.scenario.turnoutChange !== 0) {
+            parts.push(`turnout ${this.scenario.turnoutChange > 0 ? '+' : ''}${this.scenario.turnoutChange}%`);
+        }
+        const stateCount = Object.keys(this.scenario.stateSwings).length;
+        if (stateCount > 0) {
+            parts.push(`${stateCount} state override${stateCount === 1 ? '' : 's'}`);
+        }
+        return `
+            <div class="scenario-banner">
+                <strong>Simulated results</strong> from ${this.currentYear}: ${parts.join(', ')}.
+                Maine and Nebraska give every elector to the simulated statewide winner.
+                <button class="scenario-reset-link">Reset</button>
+            </div>
+        `;
+    }
+
+    // Keyboard and screen-reader access
+    setupMapKeyboard() {
+        // Regions behave like buttons: Enter/Space clicks, arrows move spatially, focus shows the tooltip
+        this.svg.on('keydown', (event) => {
+            const region = event.target.closest ? event.target.closest('.state, .county') : null;
+            if (!region) return;
+            
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                // Painting a call and the already-selected county don't navigate, so focus stays put
+                const painting = this.paintMode.enabled && this.currentLevel === 'national';
+                if (!painting && !region.classList.contains('selected-county')) {
+                    this.focusMapAfterRender = true;
+                    if (this.currentLevel === 'national') this.focusReturnState = this.getStateName(d3.select(region).datum().id);
+                }
+                region.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+            } else if (event.key.startsWith('Arrow')) {
+                event.preventDefault();
+                const next = this.currentLevel === 'county'
+                    ? this.findNeighborRegion(region, event.key)
+                    : this.findAdjacentRegion(region, event.key);
+                if (next) next.focus();
+            }
+        });
+        this.svg.on('focusin', (event) => {
+            const region = event.target;
+            if (!region.matches('.state, .county')) return;
+            const rect = region.getBoundingClientRect();
+            region.dispatchEvent(new MouseEvent('mouseover', {
+                bubbles: true,
+                clientX: rect.left + rect.width / 2,
+                clientY: rect.top + rect.height / 2
+            }));
+        });
+        this.svg.on('focusout', () => this.hideTooltip());
+        
+        // Escape drills up from anywhere outside a form control
+        document.addEventListener('keydown', async (event) => {
+            if (event.key !== 'Escape' || event.target.closest('input, select, textarea')) return;
+            if (this.currentLevel === 'national') return;
+            this.focusMapAfterRender = true;
+            if (this.currentLevel === 'state') this.focusReturnState = this.currentState;
+            await this.drillUp();
+        });
+    }
+
+    findAdjacentRegion(region, key) {
+        // Nearest region whose center lies in the arrow's direction, favouring ones straight ahead
+        const center = element => {
+            const box = element.getBBox();
+            return [box.x + box.width / 2, box.y + box.height / 2];
+        };
+        const [x0, y0] = center(region);
+        const [dirX, dirY] = { ArrowRight: [1, 0], ArrowLeft: [-1, 0], ArrowDown: [0, 1], ArrowUp: [0, -1] }[key] || [0, 0];
+        
+        let best = null;
+        let bestScore = Infinity;
+        this.g.selectAll('.state, .county').each(function() {
+            if (this === region) return;
+            const [x, y] = center(this);
+            const ahead = (x - x0) * dirX + (y - y0) * dirY;
+            const across = Math.abs((x - x0) * dirY - (y - y0) * dirX);
+            if (ahead <= 0 || across > ahead * 2) return;
+            const score = ahead + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = this;
+            }
+        });
+        return best;
+    }
+
+    getRegionLabel(name, result) {
+        if (!result || result.winner === 'UNKNOWN') return `${name}: no results`;
+        const totalVotes = Object.values(result.votes).reduce((a, b) => a + b, 0);
+        const reporting = result.reporting !== undefined && result.reporting < 100
+            ? `, ${this.formatReporting(result.reporting)}% reporting`
+            : '';
+        return `${name}: ${this.getWinnerHeading(result).toLowerCase()} ${this.getPartyName(result.winner)} ` +
+            `by ${this.getResultMargin(result).toFixed(1)} points, ${totalVotes.toLocaleString()} votes${reporting}`;
+    }
+
+    updateRegionAccessibility() {
+        // Focus order, roles and labels for the regions just drawn
+        const self = this;
+        const stateResults = this.getYearStateResults();
+        const drillable = this.currentLevel !== 'county';
+        
+        this.g.selectAll('.state').each(function(d) {
+            const stateName = self.getStateName(d.id);
+            const label = self.paintMode.enabled
+                ? `${self.formatStateLabel(stateName)}: ${self.getRaceCallLabel(self.paintMode.calls[stateName])}`
+                : self.getRegionLabel(self.formatStateLabel(stateName), stateResults.get(stateName));
+            d3.select(this)
+                .attr('tabindex', 0)
+                .attr('role', 'button')
+                .attr('aria-label', label);
+        });
+        this.g.selectAll('.county').each(function(d) {
+            const lookup = self.getCountyTarget(d);
+            const name = lookup.result?.name || d.properties.name;
+            const selected = self.isSelectedCounty(lookup);
+            d3.select(this)
+                .attr('tabindex', 0)
+                .attr('role', drillable || !selected ? 'button' : 'img')
+                .attr('aria-label', `${self.getRegionLabel(name, lookup?.result)}${selected ? ' (selected)' : ''}`);
+        });
+        
+        if (this.focusMapAfterRender) {
+            this.focusMapAfterRender = false;
+            this.focusCurrentRegion();
+        }
+    }
+
+    focusCurrentRegion() {
+        // After keyboard navigation: the selected county, the state drilled up from, or the first region
+        let target = null;
+        if (this.currentLevel === 'county') {
+            target = this.g.select('.county.selected-county').node();
+        } else if (this.currentLevel === 'national' && this.focusReturnState) {
+            target = this.g.selectAll('.state')
+                .filter(d => this.getStateName(d.id) === this.focusReturnState)
+                .node();
+        }
+        (target || this.g.select('.state, .county').node())?.focus();
+        this.focusReturnState = null;
+    }
+
+    announce(message) {
+        // Clear first so repeating the same message is still read out
+        const announcer = document.getElementById('map-announcer');
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    }
+
+    updateDataTable() {
+        // Visually hidden table with the same results the map is showing
+        const table = document.getElementById('map-data-table');
+        const caption = `<caption>${this.getSidebarTitle()}</caption>`;
+        
+        if (this.paintMode.enabled && this.currentLevel === 'national') {
+            const rows = Object.keys(this.statePostalCodes).sort().map(stateName => `
+                <tr><th scope="row">${this.formatStateLabel(stateName)}</th><td>${this.getRaceCallLabel(this.paintMode.calls[stateName])}</td></tr>
+            `).join('');
+            table.innerHTML = `${caption}<thead><tr><th scope="col">State</th><th scope="col">Call</th></tr></thead><tbody>${rows}</tbody>`;
+            return;
+        }
+        
+        let placeHeading = 'State';
+        let rows = [];
+        if (this.currentLevel === 'national' || this.currentLevel === 'state') {
+            const stateResults = this.getYearStateResults();
+            const stateNames = this.currentLevel === 'national' ? Array.from(stateResults.keys()).sort() : [this.currentState];
+            rows = stateNames.map(stateName => {
+                const result = stateResults.get(stateName);
+                const allocation = result ? this.dataEngine.allocateStateElectoralVotes(stateName, result, this.currentYear) : new Map();
+                return [this.formatStateLabel(stateName), result, this.formatElectoralAllocation(allocation)];
+            });
+        } else {
+            placeHeading = 'County';
+            rows = this.getStateCounties(this.currentState).map(feature => {
+                const lookup = this.findCountyFips(feature.id.toString(), this.currentState);
+                const name = lookup?.result?.name || feature.properties.name;
+                return [lookup && lookup.format === this.currentCounty ? `${name} (selected)` : name, lookup?.result, null];
+            }).sort((a, b) => a[0].localeCompare(b[0]));
+        }
+        
+        const hasElectoral = rows.some(([, , electoral]) => electoral !== null);
+        const body = rows.map(([name, result, electoral]) => {
+            const totalVotes = result ? Object.values(result.votes).reduce((a, b) => a + b, 0) : 0;
+            const cells = result && result.winner !== 'UNKNOWN'
+                ? [
+                    this.getPartyName(result.winner),
+                    `${this.getResultMargin(result).toFixed(1)} points`,
+                    totalVotes.toLocaleString(),
+                    result.reporting !== undefined ? `${this.formatReporting(result.reporting)}%` : '100%'
+                ]
+                : ['No results', '', '', ''];
+            if (hasElectoral) cells.push(electoral);
+            return `<tr><th scope="row">${name}</th>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+        }).join('');
+        
+        const headings = [placeHeading, this.currentYear === this.liveResults.year ? 'Leader' : 'Winner', 'Margin', 'Total votes', 'Reporting'];
+        if (hasElectoral) headings.push('Electoral votes');
+        table.innerHTML = `${caption}<thead><tr>${headings.map(heading => `<th scope="col">${heading}</th>`).join('')}</tr></thead><tbody>${body}</tbody>`;
+    }
+
+    // Place search
+    setupPlaceSearch() {
+        const input = document.getElementById('placeSearch');
+        const results = document.getElementById('placeSearchResults');
+        
+        input.addEventListener('input', () => this.updatePlaceSearch(input.value));
+        input.addEventListener('keydown', async (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (this.searchMatches.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setSearchActiveIndex((this.searchActiveIndex + step + this.searchMatches.length) % this.searchMatches.length);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const match = this.searchMatches[Math.max(0, this.searchActiveIndex)];
+                if (match) await this.selectSearchResult(match);
+            } else if (e.key === 'Escape') {
+                this.closePlaceSearch();
+            }
+        });
+        input.addEventListener('blur', () => {
+            // Let a click on a result land before the list closes
+            setTimeout(() => this.closePlaceSearch(), 150);
+        });
+        
+        // mousedown so the input keeps focus until the selection is made
+        results.addEventListener('mousedown', async (e) => {
+            const option = e.target.closest('.place-search-option');
+            if (!option) return;
+            e.preventDefault();
+            await this.selectSearchResult(this.searchMatches[parseInt(option.dataset.index)]);
+        });
+    }
+
+    buildSearchIndex() {
+        // Every state and county in the topology; county labels carry the state so the
+        // 30 Washington Counties (and the like) can be told apart
+        const index = [];
+        const seenStates = new Set();
+        topojson.feature(this.topology, this.topology.objects.states).features.forEach(feature => {
+            const stateName = this.getStateName(feature.id);
+            if (stateName === 'UNKNOWN' || seenStates.has(stateName)) return;
+            seenStates.add(stateName);
+            index.push({ type: 'state', stateName, label: this.formatStateLabel(stateName), detail: 'State' });
+        });
+        
+        const counties = this.getAllCounties();
+        const nameCounts = new Map();
+        counties.forEach(feature => {
+            const key = `${Math.floor(feature.id / 1000)}|${feature.properties.name}`;
+            nameCounts.set(key, (nameCounts.get(key) || 0) + 1);
+        });
+        counties.forEach(feature => {
+            const topoId = feature.id.toString().padStart(5, '0');
+            const stateName = this.getStateNameFromFips(topoId.substring(0, 2));
+            if (stateName === 'UNKNOWN' || !feature.properties.name) return;
+            const sharesName = nameCounts.get(`${Math.floor(feature.id / 1000)}|${feature.properties.name}`) > 1;
+            index.push({
+                type: 'county',
+                stateName,
+                topoId,
+                label: `${this.formatCountyLabel(feature.properties.name, topoId, sharesName)}, ${this.statePostalCodes[stateName] || stateName}`,
+                detail: this.formatStateLabel(stateName)
+            });
+        });
+        
+        index.forEach(entry => {
+            entry.searchWords = `${entry.label} ${entry.detail}`.toLowerCase().split(/[\s,]+/);
+        });
+        return index;
+    }
+
+    formatStateLabel(stateName) {
+        return stateName.toLowerCase()
+            .replace(/\b\w/g, letter => letter.toUpperCase())
+            .replace(/\bOf\b/, 'of');
+    }
+
+    formatCountyLabel(name, topoId, sharesName) {
+        // Independent cities (Virginia, Baltimore, St. Louis) share names with counties in the same state
+        const stateFips = topoId.substring(0, 2);
+        if (sharesName && parseInt(topoId.substring(2)) >= 500) return `${name} city`;
+        if (stateFips === '22') return `${name} Parish`;
+        if (stateFips === '02' || stateFips === '11' || / city$/i.test(name)) return name;
+        return `${name} County`;
+    }
+
+    updatePlaceSearch(query) {
+        const terms = query.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        if (terms.length === 0) {
+            this.closePlaceSearch();
+            return;
+        }
+        if (!this.searchIndex) this.searchIndex = this.buildSearchIndex();
+        
+        // Every term must start a word of the place or its state; places whose name starts
+        // with the first term rank first, then states
+        const rank = entry => (entry.label.toLowerCase().startsWith(terms[0]) ? 0 : 2) + (entry.type === 'state' ? 0 : 1);
+        this.searchMatches = this.searchIndex
+            .filter(entry => terms.every(term => entry.searchWords.some(word => word.startsWith(term))))
+            .sort((a, b) => rank(a) - rank(b) || a.label.localeCompare(b.label))
+            .slice(0, this.searchResultLimit);
+        
+        const results = document.getElementById('placeSearchResults');
+        results.innerHTML = this.searchMatches.length === 0
+            ? '<li class="place-search-empty">No matching state or county</li>'
+            : this.searchMatches.map((match, index) => `
+                <li id="place-search-option-${index}" class="place-search-option" role="option" data-index="${index}" aria-selected="false">
+                    <span>${match.label}</span>
+                    <span class="place-search-type">${match.detail}</span>
+                </li>
+            `).join('');
+        results.hidden = false;
+        document.getElementById('placeSearch').setAttribute('aria-expanded', 'true');
+        this.setSearchActiveIndex(this.searchMatches.length > 0 ? 0 : -1);
+    }
+
+    setSearchActiveIndex(index) {
+        this.searchActiveIndex = index;
+        const input = document.getElementById('placeSearch');
+        document.querySelectorAll('.place-search-option').forEach((option, optionIndex) => {
+            const active = optionIndex === index;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) option.scrollIntoView({ block: 'nearest' });
+        });
+        if (index >= 0) {
+            input.setAttribute('aria-activedescendant', `place-search-option-${index}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    closePlaceSearch() {
+        const results = document.getElementById('placeSearchResults');
+        results.hidden = true;
+        results.innerHTML = '';
+        this.searchMatches = [];
+        this.searchActiveIndex = -1;
+        const input = document.getElementById('placeSearch');
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    async selectSearchResult(match) {
+        const input = document.getElementById('placeSearch');
+        input.value = match.label;
+        this.closePlaceSearch();
+        input.blur();
+        
+        if (match.type === 'state') {
+            this.navigateToState(match.stateName);
+            return;
+        }
+        
+        // County results are keyed by election-data FIPS; findCountyFips applies the Georgia
+        // corrections and Alaska results are stored under borough FIPS
+        try {
+            await this.processStateCountyData(this.currentYear, match.stateName);
+        } catch (error) {
+            console.error(`Error loading county data for ${match.stateName}:`, error);
+            this.showError(`Failed to load county data for ${match.stateName}`);
+            return;
+        }
+        let countyFips = this.findCountyFips(match.topoId, match.stateName)?.format;
+        if (!countyFips && match.stateName === 'ALASKA' && this.getYearCountyResults().get(match.topoId)?.state === 'ALASKA') {
+            countyFips = match.topoId;
+        }
+        
+        if (countyFips) {
+            await this.navigateToCounty(match.stateName, countyFips);
+        } else {
+            // No results for this county in the selected year; show its state's counties instead
+            console.warn(`No ${this.currentYear} results for ${match.label} (TopoJSON ID ${match.topoId})`);
+            await this.navigateToStatewide(match.stateName);
+        }
+    }
+
+    // Timeline playback
+    setupTimelineControls() {
+        const scrub = document.getElementById('timelineScrub');
+        scrub.max = this.getTimelineYears().length - 1;
+        this.syncTimelineScrub();
+        
+        document.getElementById('playButton').addEventListener('click', () => {
+            if (this.timeline.playing) {
+                this.pauseTimeline();
+            } else {
+                this.playTimeline();
+            }
+        });
+        scrub.addEventListener('input', async () => {
+            this.pauseTimeline();
+            const year = this.getTimelineYears()[parseInt(scrub.value)];
+            if (year && year !== this.currentYear) await this.showYear(year, this.getTimelineTiming().transition);
+        });
+        document.getElementById('playSpeed').addEventListener('change', (e) => {
+            this.timeline.speed = parseFloat(e.target.value) || 1;
+        });
+    }
+
+    getTimelineYears() {
+        // Chronological order, whatever order the year selector lists them in
+        return Array.from(document.getElementById('yearSelect').options).map(option => option.value).sort();
+    }
+
+    getTimelineTiming() {
+        return {
+            step: this.timeline.stepMs / this.timeline.speed,
+            transition: this.timeline.transitionMs / this.timeline.speed
+        };
+    }
+
+    syncTimelineScrub() {
+        const scrub = document.getElementById('timelineScrub');
+        const years = this.getTimelineYears();
+        scrub.max = years.length - 1;
+        scrub.value = Math.max(0, years.indexOf(this.currentYear));
+    }
+
+    async playTimeline() {
+        const years = this.getTimelineYears();
+        const run = ++this.timeline.run;
+        this.timeline.playing = true;
+        this.setPlayButtonState(true);
+        
+        // Playing from the last year starts over from the first
+        let index = years.indexOf(this.currentYear);
+        if (index < 0 || index === years.length - 1) index = -1;
+        
+        try {
+            while (this.timeline.playing && run === this.timeline.run && index < years.length - 1) {
+                index++;
+                await this.showYear(years[index], this.getTimelineTiming().transition);
+                
+                // Prepare the next year while this one is on screen so the next step doesn't stall
+                if (index < years.length - 1) {
+                    this.processYearData(years[index + 1]).catch(error => {
+                        console.warn(`Could not preprocess ${years[index + 1]}:`, error);
+                    });
+                    await new Promise(resolve => setTimeout(resolve, this.getTimelineTiming().step));
+                }
+            }
+        } catch (error) {
+            console.error('Error during timeline playback:', error);
+            this.showError('Playback stopped: failed to load election data');
+        }
+        
+        if (run === this.timeline.run) {
+            this.timeline.playing = false;
+            this.setPlayButtonState(false);
+        }
+    }
+
+    pauseTimeline() {
+        if (!this.timeline.playing) return;
+        this.timeline.playing = false;
+        this.timeline.run++;
+        this.setPlayButtonState(false);
+    }
+
+    setPlayButtonState(playing) {
+        const button = document.getElementById('playButton');
+        button.textContent = playing ? '❚❚' : '▶';
+        button.title = playing ? 'Pause' : 'Play through every election year';
+        button.classList.toggle('playing', playing);
+    }
+
+    async showYear(year, duration = this.timeline.transitionMs) {
+        // Lazy load data for the new year if not already processed
+        await this.processYearData(year);
+        if (this.currentLevel === 'county') await this.loadNeighborStates(year);
+        
+        this.currentYear = year;
+        document.getElementById('yearSelect').value = year;
+        this.syncTimelineScrub();
+        if (this.currentLevel === 'county') this.resolveSelectedCounty();
+        
+        // The legend gains a reporting swatch for the live year
+        this.updateLegend();
+        this.transitionMapColors(duration);
+        this.updateRegionAccessibility();
+        this.updateSidebar();
+        this.announce(`Showing ${year} results.`);
+        this.updateUrl(this.timeline.playing); // Playback replaces the entry instead of filling history
+    }
+
+    transitionMapColors(duration) {
+        // Recolor the drawn states/counties in place so the map fades between years instead of redrawing.
+        // Swing arrows, bubbles, race calls and electoral-vote tiles depend on more than the fill, so those redraw as before.
+        const evTiles = this.currentLevel === 'national' && this.nationalLayout === 'ev';
+        if (this.swingMode.enabled || this.paintMode.enabled || this.isBubbleModeActive() || evTiles) {
+            this.refreshMapColors();
+            return;
+        }
+        
+        const stateResults = this.getYearStateResults();
+        const self = this;
+        const fadeTo = getColor => function(d) {
+            const element = d3.select(this);
+            const color = getColor(d);
+            const previous = element.attr('fill') || '';
+            
+            // Hatch patterns can't be interpolated; swap them in directly
+            if (color.startsWith('url(') || previous.startsWith('url(')) {
+                element.interrupt('year').attr('fill', color);
+            } else {
+                element.transition('year').duration(duration).attr('fill', color);
+            }
+        };
+        
+        this.g.selectAll('.state')
+            .each(fadeTo(d => self.getResultColor(stateResults.get(self.getStateName(d.id)))));
+        this.g.selectAll('.county')
+            .each(fadeTo(d => self.getResultColor(self.getCountyTarget(d).result)));
+        
+        if (this.compareMode.enabled) {
+            this.renderComparePane();
+        }
+    }
+
+    // Side-by-side comparison
+    async setCompareMode(enabled, year) {
+        if (enabled) {
+            this.showLoading();
+            try {
+                await this.processYearData(year);
+            } catch (error) {
+                console.error('Error loading comparison year:', error);
+                this.showError(`Failed to load ${year} data`);
+                return;
+            } finally {
+                this.hideLoading();
+            }
+        }
+        
+        this.compareMode.enabled = enabled;
+        this.compareMode.year = year;
+        document.getElementById('map-container').classList.toggle('compare-active', enabled);
+        
+        // Both panes share one projection fitted to the (now narrower or wider) main pane
+        this.handleResize();
+        if (enabled) {
+            this.compareSvg.call(this.compareZoom.transform, d3.zoomTransform(this.svg.node()));
+        }
+        this.updateSidebar();
+    }
+
+    renderComparePane() {
+        const year = this.compareMode.year;
+        this.compareG.selectAll('*').remove();
+        document.getElementById('compareLabelPrimary').textContent = this.isScenarioActive()
+            ? `${this.currentYear} (simulated)`
+            : this.currentYear;
+        document.getElementById('compareLabelSecondary').textContent = year;
+        
+        if (this.currentLevel === 'national' || this.currentLevel === 'state') {
+            const stateResults = this.getYearStateResults(year);
+            const stateFeatures = topojson.feature(this.topology, this.topology.objects.states).features
+                .filter(d => this.currentLevel === 'national' || this.getStateName(d.id) === this.currentState);
+            
+            this.compareG.selectAll('.state')
+                .data(stateFeatures)
+                .enter().append('path')
+                .attr('class', 'state')
+                .attr('d', this.path)
+                .attr('fill', d => this.getResultColor(stateResults.get(this.getStateName(d.id))))
+                .attr('stroke', this.currentLevel === 'state' ? '#ffffff' : null)
+                .attr('stroke-width', this.currentLevel === 'state' ? 0.25 : null)
+                .on('click', async (event, d) => {
+                    if (this.paintMode.enabled) return; // Calls are painted on the main map
+                    if (this.currentLevel === 'national') {
+                        this.navigateToState(this.getStateName(d.id));
+                    } else {
+                        await this.navigateToStatewide(this.currentState);
+                    }
+                })
+                .on('mouseover', (event, d) => {
+                    if (this.isMobileDevice) return;
+                    const stateName = this.getStateName(d.id);
+                    this.showStateTooltip(event, stateName, stateResults.get(stateName), year);
+                })
+                .on('mouseout', () => this.hideTooltip())
+                .on('touchend', () => this.hideTooltip());
+            return;
+        }
+        
+        // Statewide and county views: the counties the main pane draws, matched to the comparison year.
+        // Targets use the main year's keys, so clicks navigate exactly as on the main map.
+        const stateCounties = this.getStateCounties(this.currentState);
+        const viewCounties = this.currentLevel === 'county' && this.crossStateNavigation
+            ? stateCounties.concat(this.getOutOfStateNeighbors(stateCounties))
+            : stateCounties;
+        const targets = new Map(viewCounties.map(d => [d.id.toString(), this.getCountyTarget(d)]));
+        const getResult = d => this.findCountyResult(d.id.toString(), targets.get(d.id.toString()).stateName, year);
+        const isSelected = d => this.currentLevel === 'county' && this.isSelectedCounty(targets.get(d.id.toString()));
+        
+        this.compareG.selectAll('.county')
+            .data(viewCounties)
+            .enter().append('path')
+            .attr('class', 'county')
+            .attr('d', d => this.getCountyPath(targets.get(d.id.toString()).stateName, d.id) || this.path(d))
+            .attr('fill', d => this.getResultColor(getResult(d)))
+            .attr('stroke', '#ffffff')
+            .attr('stroke-width', d => isSelected(d) ? 2 : 0.15)
+            .classed('selected-county', isSelected)
+            .on('click', async (event, d) => {
+                const target = targets.get(d.id.toString());
+                if (!target.countyFips || isSelected(d)) return;
+                await this.navigateToCounty(target.stateName, target.countyFips);
+            })
+            .on('mouseover', (event, d) => {
+                if (this.isMobileDevice) return;
+                this.showCountyTooltip(event, getResult(d));
+            })
+            .on('mouseout', () => this.hideTooltip())
+            .on('touchend', () => this.hideTooltip());
+    }
+
+    getComparisonTotals(year) {
+        // Votes (party -> count) for the current view in `year`, plus electoral votes nationally
+        if (this.currentLevel === 'national') {
+            const national = this.getResultsEngine(year).getNationalTotals(year);
+            if (national.totalVotes === 0) return null;
+            const electoral = this.getResultsEngine(year).getElectoralVotes(year, this.getYearStateResults(year));
+            return { votes: Object.fromEntries(national.votes), electoral: electoral.totals };
+        }
+        if (this.currentLevel === 'county') {
+            const county = this.findCountyResult(this.currentCounty.padStart(5, '0'), this.currentState, year);
+            return county ? { votes: county.votes } : null;
+        }
+        const stateResult = this.getYearStateResults(year).get(this.currentState);
+        if (!stateResult) return null;
+        return {
+            votes: stateResult.votes,
+            electoral: this.dataEngine.allocateStateElectoralVotes(this.currentState, stateResult, year)
+        };
+    }
+
+    renderYearComparison() {
+        // Earlier year on the left; deltas are later minus earlier
+        const [earlyYear, lateYear] = [this.currentYear, this.compareMode.year].sort();
+        const early = this.getComparisonTotals(earlyYear);
+        const late = this.getComparisonTotals(lateYear);
+        if (!early || !late) {
+            const missingYear = early ? lateYear : earlyYear;
+            return `<div class="year-comparison"><p>No ${missingYear} results for this ${this.currentLevel === 'county' ? 'county' : 'view'}.</p></div>`;
+        }
+        
+        const total = votes => Object.values(votes).reduce((a, b) => a + b, 0);
+        const earlyTotal = total(early.votes);
+        const lateTotal = total(late.votes);
+        const share = (votes, party, totalVotes) => totalVotes > 0 ? ((votes[party] || 0) / totalVotes) * 100 : 0;
+        const formatDelta = (delta, suffix) => `${delta > 0 ? '+' : ''}${delta.toFixed(1)}${suffix}`;
+        
+        const parties = Array.from(new Set([...Object.keys(late.votes), ...Object.keys(early.votes)]))
+            .sort((a, b) => ((late.votes[b] || 0) + (early.votes[b] || 0)) - ((late.votes[a] || 0) + (early.votes[a] || 0)))
+            .slice(0, this.comparePartyLimit);
+        
+        const partyRows = parties.map(party => {
+            const earlyShare = share(early.votes, party, earlyTotal);
+            const lateShare = share(late.votes, party, lateTotal);
+            return `
+                <tr class="${this.getPartyCssClass(party)}" style="--party-color: ${this.getPartyColor(party)}">
+                    <td>${this.getPartyName(party)}</td>
+                    <td>${earlyShare.toFixed(1)}%</td>
+                    <td>${lateShare.toFixed(1)}%</td>
+                    <td>${formatDelta(lateShare - earlyShare, ' pts')}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const earlyMargin = this.dataEngine.getTwoPartyMargin(early);
+        const lateMargin = this.dataEngine.getTwoPartyMargin(late);
+        const marginShift = earlyMargin === null || lateMargin === null ? null : lateMargin - earlyMargin;
+        const electoralRows = early.electoral && late.electoral
+            ? ['REPUBLICAN', 'DEMOCRAT'].map(party => {
+                const earlyEv = early.electoral.get(party) || 0;
+                const lateEv = late.electoral.get(party) || 0;
+                return `
+                    <tr>
+                        <td>${this.getPartyName(party)} EV</td>
+                        <td>${earlyEv}</td>
+                        <td>${lateEv}</td>
+                        <td>${lateEv - earlyEv > 0 ? '+' : ''}${lateEv - earlyEv}</td>
+                    </tr>
+                `;
+            }).join('')
+            : '';
+        
+        return `
+            <div class="year-comparison">
+                <table class="comparison-table">
+                    <thead><tr><th></th><th>${earlyYear}</th><th>${lateYear}</th><th>Δ</th></tr></thead>
+                    <tbody>
+                        ${partyRows}
+                        <tr class="comparison-summary-row">
+                            <td>Margin</td>
+                            <td>${this.formatMargin(earlyMargin)}</td>
+                            <td>${this.formatMargin(lateMargin)}</td>
+                            <td>${marginShift === null ? 'n/a' : this.formatMargin(marginShift)}</td>
+                        </tr>
+                        <tr>
+                            <td>Total votes</td>
+                            <td>${earlyTotal.toLocaleString()}</td>
+                            <td>${lateTotal.toLocaleString()}</td>
+                            <td>${earlyTotal > 0 ? formatDelta((lateTotal / earlyTotal - 1) * 100, '%') : 'n/a'}</td>
+                        </tr>
+                        ${electoralRows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Results download
+    setupResultsExport() {
+        document.getElementById('exportResultsCsv').addEventListener('click', () => this.exportResults('csv'));
+        document.getElementById('exportResultsJson').addEventListener('click', () => this.exportResults('json'));
+    }
+
+    exportResults(format) {
+        // Same engine the map draws from, so simulated and live results export as shown
+        let table;
+        try {
+            table = this.getResultsEngine().getResultsTable(this.currentYear, {
+                level: this.currentLevel,
+                stateName: this.currentState,
+                countyFips: this.currentCounty
+            });
+        } catch (error) {
+            console.warn('No results to export for this view:', error.message);
+            this.setResultsExportAvailable(false);
+            return;
+        }
+        
+        const fileName = this.getExportFileName('election-results', format);
+        if (format === 'json') {
+            const data = { type: 'election-results', version: 1, simulated: this.isScenarioActive(), ...table };
+            this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+        } else {
+            this.downloadBlob(new Blob([ElectionDataEngine.formatCsv(table.columns, table.rows)], { type: 'text/csv' }), fileName);
+        }
+    }
+
+    hasViewResults() {
+        switch (this.currentLevel) {
+            case 'national':
+                return this.getYearStateResults().size > 0;
+            case 'county':
+                return Boolean(this.getCountyResultByKey(this.currentCounty));
+            default:
+                return this.getYearStateResults().has(this.currentState);
+        }
+    }
+
+    setResultsExportAvailable(available) {
+        // Disabled rather than hidden so the sidebar doesn't jump while a year is still processing
+        ['exportResultsCsv', 'exportResultsJson'].forEach(id => {
+            document.getElementById(id).disabled = !available;
+        });
+        document.getElementById('resultsExportLabel').textContent = available ? 'Download results' : 'No results to download';
+    }
+
+    toggleToolPanel(panelId, buttonId, open = null) {
+        // Header-button panels that don't change the map (estimator, export, data audit)
+        const panel = document.getElementById(panelId);
+        const show = open === null ? panel.style.display === 'none' : open;
+        panel.style.display = show ? 'block' : 'none';
+        document.getElementById(buttonId).classList.toggle('active', show);
+    }
+
+    setPanelStatus(elementId, message, isError = false) {
+        // Status line under a panel's controls (export, estimator, live results, race calls)
+        const status = document.getElementById(elementId);
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    // Map export
+    setupExportPanel() {
+        document.getElementById('exportButton').addEventListener('click', () => {
+            this.toggleToolPanel('export-panel', 'exportButton');
+        });
+        document.getElementById('exportClose').addEventListener('click', () => {
+            this.toggleToolPanel('export-panel', 'exportButton', false);
+        });
+        document.getElementById('exportDownload').addEventListener('click', async () => {
+            const format = document.getElementById('exportFormat').value;
+            const scale = parseFloat(document.getElementById('exportScale').value) || 1;
+            await this.exportMap(format, scale);
+        });
+    }
+
+    async exportMap(format, scale = 1) {
+        const fileName = this.getExportFileName('election-map', format);
+        try {
+            const { markup, width, height } = this.buildExportSvg();
+            if (format === 'png') {
+                const blob = await this.rasterizeSvg(markup, width, height, scale);
+                this.downloadBlob(blob, fileName);
+                this.setPanelStatus('exportStatus', `Saved ${fileName} (${Math.round(width * scale)}×${Math.round(height * scale)}).`);
+            } else {
+                this.downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), fileName);
+                this.setPanelStatus('exportStatus', `Saved ${fileName}.`);
+            }
+        } catch (error) {
+            console.error('Error exporting map:', error);
+            this.setPanelStatus('exportStatus', `Export failed: ${error.message}`, true);
+        }
+    }
+
+    getExportFileName(prefix, extension) {
+        const parts = [prefix, this.currentYear, this.currentLevel];
+        if (this.currentState) parts.push(this.statePostalCodes[this.currentState] || this.currentState);
+        if (this.currentLevel === 'county' && this.currentCounty) parts.push(this.currentCounty);
+        if (this.isScenarioActive()) parts.push('simulated');
+        return `${parts.join('-').toLowerCase().replace(/[^a-z0-9-]+/g, '-')}.${extension}`;
+    }
+
+    getExportTitle() {
+        // Sidebar title plus whatever mode changes what the colors mean
+        const notes = [];
+        if (this.isScenarioActive()) notes.push('Simulated what-if scenario');
+        if (this.paintMode.enabled && this.currentLevel === 'national') notes.push('Race calls');
+        else if (this.swingMode.enabled) notes.push(`Swing in margin since ${this.swingMode.baseYear}`);
+        else if (this.colorMode === 'margin') notes.push('Shaded by winning margin');
+        if (this.currentLevel === 'national' && this.nationalLayout !== 'map') {
+            notes.push(this.nationalLayout === 'ev' ? 'States as tiles sized by electoral votes' : 'States as equal-size tiles');
+        }
+        if (this.isBubbleModeActive()) notes.push(`Circles sized by ${this.bubbleMode.sizeBy === 'margin' ? 'vote margin' : 'total votes'}`);
+        if (this.liveResults.year === this.currentYear) notes.push('Live results, partially reporting areas hatched');
+        return { title: this.getSidebarTitle(), subtitle: notes.join(' · ') };
+    }
+
+    buildExportSvg() {
+        // Standalone SVG: title, the map exactly as zoomed on screen, the legend and a source credit.
+        // Every style the map relies on is inlined so the file doesn't need styles.css.
+        const { width: mapWidth, height: mapHeight } = this.getMapSize();
+        const headerHeight = 64;
+        const footerHeight = 28;
+        const width = Math.round(mapWidth);
+        const height = Math.round(headerHeight + mapHeight + footerHeight);
+        const fontFamily = getComputedStyle(document.body).fontFamily.replace(/"/g, "'");
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        
+        const mapClone = this.svg.node().cloneNode(true);
+        this.inlineExportStyles(this.svg.node(), mapClone);
+        ['id', 'role', 'aria-label', 'aria-describedby', 'style', 'class'].forEach(attribute => mapClone.removeAttribute(attribute));
+        mapClone.setAttribute('x', 0);
+        mapClone.setAttribute('y', headerHeight);
+        mapClone.setAttribute('width', mapWidth);
+        mapClone.setAttribute('height', mapHeight);
+        mapClone.querySelectorAll('[tabindex]').forEach(element => element.removeAttribute('tabindex'));
+        const mapMarkup = new XMLSerializer().serializeToString(mapClone);
+        
+        const { title, subtitle } = this.getExportTitle();
+        const legend = this.buildExportLegend();
+        const legendMarkup = legend
+            ? `<g transform="translate(16, ${headerHeight + mapHeight - legend.height - 16})">${legend.markup}</g>`
+            : '';
+        
+        const markup = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${fontFamily}">
+    <rect width="${width}" height="${height}" fill="#000000"/>
+    <rect width="${width}" height="${headerHeight}" fill="#2a2a2a"/>
+    <text x="16" y="30" font-size="20" font-weight="700" fill="#ffffff">${escape(title)}</text>
+    <text x="16" y="52" font-size="13" fill="#bbbbbb">${escape(subtitle)}</text>
+    ${mapMarkup}
+    ${legendMarkup}
+    <text x="${width - 16}" y="${height - 10}" font-size="11" fill="#999999" text-anchor="end">Source: MIT Election Data + Science Lab, county presidential returns 2000–2024 · Boundaries: U.S. Atlas TopoJSON</text>
+</svg>`;
+        return { markup, width, height };
+    }
+
+    inlineExportStyles(source, clone) {
+        // Copy computed presentation styles onto the clone, element by element (clones keep document order)
+        const properties = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+            'stroke-linejoin', 'stroke-dasharray', 'opacity', 'vector-effect', 'marker-end'];
+        const sourceElements = source.querySelectorAll('path, line, rect, circle, polygon, polyline');
+        const cloneElements = clone.querySelectorAll('path, line, rect, circle, polygon, polyline');
+        sourceElements.forEach((element, index) => {
+            const computed = getComputedStyle(element);
+            const style = properties
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value && value !== 'normal')
+                .map(([property, value]) => `${property}: ${value}`)
+                .join('; ');
+            cloneElements[index].setAttribute('style', style);
+            cloneElements[index].removeAttribute('class');
+        });
+    }
+
+    buildExportLegend() {
+        // Redraw the on-screen legend as SVG, keeping each swatch and label where the page lays it out
+        const legend = document.querySelector('.legend');
+        const box = legend.getBoundingClientRect();
+        if (box.width === 0 || box.height === 0) return null;
+        
+        const parts = [`<rect width="${box.width}" height="${box.height}" rx="8" fill="rgba(42, 42, 42, 0.95)" stroke="#555555"/>`];
+        legend.querySelectorAll('*').forEach(element => {
+            if (element.closest('svg') && element.tagName.toLowerCase() !== 'svg') return; // Drawn with its swatch
+            const rect = element.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) return;
+            const x = rect.left - box.left;
+            const y = rect.top - box.top;
+            const computed = getComputedStyle(element);
+            
+            if (element.tagName.toLowerCase() === 'svg') {
+                const fill = element.querySelector('rect')?.getAttribute('fill') || '#888888';
+                parts.push(`<rect x="${x}" y="${y}" width="${rect.width}" height="${rect.height}" fill="${fill}"/>`);
+            } else if (element.matches('.legend-color, .legend-bin, .legend-missing, .legend-bubble')) {
+                const stroke = parseFloat(computed.borderTopWidth) > 0 ? ` stroke="${computed.borderTopColor}"` : '';
+                parts.push(`<rect x="${x}" y="${y}" width="${rect.width}" height="${rect.height}" rx="${parseFloat(computed.borderTopLeftRadius) || 0}" ` +
+                    `fill="${computed.backgroundColor}"${stroke}/>`);
+            } else if (element.children.length === 0 && element.textContent.trim()) {
+                const fontSize = parseFloat(computed.fontSize);
+                const anchor = computed.textAlign === 'center' ? 'middle' : 'start';
+                const textX = anchor === 'middle' ? x + rect.width / 2 : x;
+                parts.push(`<text x="${textX}" y="${y + rect.height / 2 + fontSize * 0.35}" font-size="${fontSize}" ` +
+                    `font-weight="${computed.fontWeight}" fill="${computed.color}" opacity="${computed.opacity}" text-anchor="${anchor}">` +
+                    `${element.textContent.trim().replace(/&/g, '&amp;').replace(/</g, '&lt;')}</text>`);
+            }
+        });
+        return { markup: parts.join(''), width: box.width, height: box.height };
+    }
+
+    rasterizeSvg(markup, width, height, scale) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('the SVG could not be rasterized'));
+            };
+            image.src = url;
+        });
+    }
+
+    // Data quality audit
+    setupAuditPanel() {
+        const yearSelect = document.getElementById('auditYear');
+        const stateSelect = document.getElementById('auditState');
+        stateSelect.innerHTML = Object.keys(this.statePostalCodes).sort()
+            .map(stateName => `<option value="${stateName}">${stateName}</option>`)
+            .join('');
+        
+        document.getElementById('auditButton').addEventListener('click', async () => {
+            if (!this.isAuditOpen()) {
+                // Open on the map's year and state; the year list picks up a live year added since load
+                yearSelect.innerHTML = document.getElementById('yearSelect').innerHTML;
+                yearSelect.value = this.currentYear;
+                if (this.currentState) stateSelect.value = this.currentState;
+            }
+            this.toggleToolPanel('audit-panel', 'auditButton');
+            if (this.isAuditOpen()) await this.runDataAudit();
+        });
+        document.getElementById('auditClose').addEventListener('click', () => {
+            this.toggleToolPanel('audit-panel', 'auditButton', false);
+        });
+        yearSelect.addEventListener('change', () => this.runDataAudit());
+        stateSelect.addEventListener('change', () => this.runDataAudit());
+    }
+
+    isAuditOpen() {
+        return document.getElementById('audit-panel').style.display !== 'none';
+    }
+
+    async runDataAudit() {
+        const yearSelect = document.getElementById('auditYear');
+        const stateSelect = document.getElementById('auditState');
+        const year = yearSelect.value;
+        const stateName = stateSelect.value;
+        const results = document.getElementById('auditResults');
+        
+        try {
+            await this.processYearData(year);
+            if (yearSelect.value !== year || stateSelect.value !== stateName) return; // Selection moved on while processing
+            
+            // Audit the real results, never a what-if scenario
+            const mapCounties = this.getStateCounties(stateName)
+                .map(feature => ({ fips: feature.id.toString(), name: feature.properties?.name }));
+            const audit = this.dataEngine.auditState(year, stateName, mapCounties);
+            results.innerHTML = this.renderDataAudit(audit, mapCounties.length);
+        } catch (error) {
+            console.error('Error auditing data:', error);
+            results.innerHTML = `<div class="audit-empty error">Audit failed: ${error.message}</div>`;
+        }
+    }
+
+    renderDataAudit(audit, mapCountyCount) {
+        const { totals } = audit;
+        const signed = value => `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+        const countyLabel = county => `${county.name || 'Unnamed'} <span class="audit-fips">${county.fips}</span>`;
+        const section = (title, items, renderItem, emptyText) => `
+            <div class="audit-section">
+                <div class="audit-heading ${items.length ? 'warning' : 'ok'}">${title} (${items.length})</div>
+                ${items.length
+                    ? `<ul class="audit-list">${items.map(item => `<li>${renderItem(item)}</li>`).join('')}</ul>`
+                    : `<div class="audit-empty">${emptyText}</div>`}
+            </div>
+        `;
+        
+        // TOTAL VOTES CAST rows aren't in every year's CSV; without them there is nothing to compare
+        const totalsCheck = totals.reportedVotes === null
+            ? `
+                <div class="audit-section">
+                    <div class="audit-heading">State total vs TOTAL VOTES CAST</div>
+                    <div class="audit-empty">No TOTAL VOTES CAST rows for ${audit.state} in ${audit.year}.</div>
+                </div>
+            `
+            : `
+                <div class="audit-section">
+                    <div class="audit-heading ${totals.difference ? 'warning' : 'ok'}">State total vs TOTAL VOTES CAST</div>
+                    <div class="audit-stat">
+                        <span>Derived from counties</span>
+                        <strong>${totals.comparedVotes.toLocaleString()}</strong>
+                    </div>
+                    <div class="audit-stat">
+                        <span>TOTAL VOTES CAST</span>
+                        <strong>${totals.reportedVotes.toLocaleString()}</strong>
+                    </div>
+                    <div class="audit-stat ${totals.difference ? 'warning' : ''}">
+                        <span>Difference</span>
+                        <strong>${signed(totals.difference)}</strong>
+                    </div>
+                    ${totals.reportedCounties < totals.counties
+                        ? `<div class="audit-empty">Compared over the ${totals.reportedCounties} of ${totals.counties} counties with a TOTAL VOTES CAST row.</div>`
+                        : ''}
+                </div>
+                ${section('Counties off their TOTAL VOTES CAST', audit.totalMismatches,
+                    county => `${countyLabel(county)}: ${county.derivedVotes.toLocaleString()} vs ${county.reportedVotes.toLocaleString()} (${signed(county.difference)})`,
+                    'Every county matches.')}
+            `;
+        
+        return `
+            <div class="audit-summary">
+                ${totals.counties} counties with results, ${mapCountyCount} on the map, ${totals.derivedVotes.toLocaleString()} votes
+            </div>
+            ${totalsCheck}
+            ${section('Map counties with no result', audit.unmatchedCounties, countyLabel, 'Every map county has a result.')}
+            ${section('Results with no map county', audit.unmappedResults,
+                county => `${countyLabel(county)}: ${county.votes.toLocaleString()} votes`,
+                'Every result is drawn on the map.')}
+            ${section('Summed vote modes', audit.summedModes,
+                county => `${countyLabel(county)}: ${county.modes.join(' + ') || 'unclassified modes'}`,
+                'Every county reports a total.')}
+        `;
+    }
+
+    // Outstanding-vote estimator
+    setupEstimatePanel() {
+        const baseYearSelect = document.getElementById('estimateBaseYear');
+        baseYearSelect.innerHTML = Array.from(document.getElementById('yearSelect').options)
+            .map(option => `<option value="${option.value}">${option.value}</option>`)
+            .join('');
+        
+        document.getElementById('estimateButton').addEventListener('click', () => {
+            this.toggleToolPanel('estimate-panel', 'estimateButton');
+        });
+        document.getElementById('estimateClose').addEventListener('click', () => {
+            this.toggleToolPanel('estimate-panel', 'estimateButton', false);
+        });
+        
+        baseYearSelect.addEventListener('change', () => this.runOutstandingEstimate());
+        document.getElementById('estimateFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow reloading the same file after it changes
+            if (file) await this.loadPartialResults(file);
+        });
+        document.getElementById('estimateClear').addEventListener('click', () => this.clearOutstandingEstimate());
+    }
+
+    async loadPartialResults(file) {
+        try {
+            const partial = this.dataEngine.parsePartialResults(await file.text());
+            if (partial.size === 0) {
+                throw new Error('no rows with county_fips, party and votes');
+            }
+            this.outstandingVote.partial = partial;
+            this.outstandingVote.fileName = file.name;
+            await this.runOutstandingEstimate();
+        } catch (error) {
+            console.error('Error loading partial results:', error);
+            this.setPanelStatus('estimateStatus', `Could not load ${file.name}: ${error.message}`, true);
+        }
+    }
+
+    async runOutstandingEstimate() {
+        const { partial, fileName } = this.outstandingVote;
+        if (!partial) return;
+        
+        const baselineYear = document.getElementById('estimateBaseYear').value;
+        try {
+            await this.processYearData(baselineYear);
+            const { states, unmatched } = this.dataEngine.estimateOutstandingVote(partial, baselineYear);
+            this.outstandingVote.baselineYear = baselineYear;
+            this.outstandingVote.estimates = states;
+            this.outstandingVote.unmatched = unmatched;
+            
+            const unmatchedNote = unmatched.length ? `; ${unmatched.length} counties not in ${baselineYear} skipped` : '';
+            this.setPanelStatus('estimateStatus', `${fileName}: ${partial.size - unmatched.length} counties in ${states.size} states${unmatchedNote}.`);
+            if (unmatched.length) console.warn(`Partial results counties missing from ${baselineYear}:`, unmatched);
+        } catch (error) {
+            console.error('Error estimating outstanding vote:', error);
+            this.outstandingVote.estimates = new Map();
+            this.setPanelStatus('estimateStatus', `Could not estimate from ${baselineYear} turnout: ${error.message}`, true);
+        }
+        this.updateSidebar();
+    }
+
+    clearOutstandingEstimate() {
+        this.outstandingVote.partial = null;
+        this.outstandingVote.fileName = null;
+        this.outstandingVote.estimates = new Map();
+        this.outstandingVote.unmatched = [];
+        this.setPanelStatus('estimateStatus', '');
+        this.updateSidebar();
+    }
+
+    renderOutstandingEstimate(estimate) {
+        const band = estimate.marginLow === null
+            ? ''
+            : `<div class="estimate-band">Range ${this.formatMargin(estimate.marginLow)} to ${this.formatMargin(estimate.marginHigh)}</div>`;
+        const projectedParty = estimate.projectedMargin > 0 ? 'REPUBLICAN' : 'DEMOCRAT';
+        
+        const rows = estimate.counties
+            .filter(county => county.remainingVotes > 0)
+            .slice(0, this.outstandingCountyLimit)
+            .map(county => `
+                <tr>
+                    <td>${county.name}</td>
+                    <td>${Math.round(county.remainingVotes).toLocaleString()}</td>
+                    <td>${county.expectedVotes > 0 ? Math.round(county.reportedVotes / county.expectedVotes * 100) : 0}%</td>
+                    <td title="${county.marginSource === 'current' ? 'Current margin' : `${estimate.baselineYear} margin plus state swing`}">
+                        ${this.formatMargin(county.margin)}${county.marginSource === 'swing' ? '*' : ''}
+                    </td>
+                </tr>
+            `).join('');
+        const remainingCounties = estimate.counties.filter(county => county.remainingVotes > 0).length;
+        const moreNote = remainingCounties > this.outstandingCountyLimit
+            ? `<div class="estimate-note">Largest ${this.outstandingCountyLimit} of ${remainingCounties} counties with votes outstanding.</div>`
+            : '';
+        
+        return `
+            <div class="outstanding-estimate">
+                <div class="estimate-title">Outstanding vote (vs ${estimate.baselineYear} turnout)</div>
+                <div class="estimate-stat">
+                    <span>Expected remaining vote</span>
+                    <strong>${Math.round(estimate.expectedRemaining).toLocaleString()}</strong>
+                </div>
+                <div class="estimate-stat">
+                    <span>Current margin</span>
+                    <strong>${this.formatMargin(estimate.currentMargin)}</strong>
+                </div>
+                <div class="estimate-stat">
+                    <span>Projected margin</span>
+                    <strong class="${estimate.projectedMargin === null ? '' : this.getPartyCssClass(projectedParty)}">${this.formatMargin(estimate.projectedMargin)}</strong>
+                </div>
+                ${band}
+                ${rows ? `
+                    <table class="estimate-table">
+                        <thead><tr><th>County</th><th>Remaining</th><th>In</th><th>Margin</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    ${moreNote}
+                    <div class="estimate-note">* No votes counted yet: ${estimate.baselineYear} margin shifted by the state swing (${this.formatMargin(estimate.swing)}).</div>
+                ` : '<div class="estimate-note">No votes outstanding.</div>'}
+            </div>
+        `;
+    }
+
+    // Live results
+    setLiveMode(enabled) {
+        this.liveResults.enabled = enabled;
+        clearInterval(this.liveResults.timer);
+        this.liveResults.timer = null;
+        
+        if (!enabled) {
+            this.setPanelStatus('liveStatus', '');
+            return;
+        }
+        
+        this.pollLiveResults();
+        this.liveResults.timer = setInterval(() => this.pollLiveResults(), this.liveResults.pollSeconds * 1000);
+    }
+
+    async pollLiveResults() {
+        if (this.liveResults.polling) return; // Previous request still in flight
+        this.liveResults.polling = true;
+        
+        try {
+            const feed = await d3.json(this.liveResults.url, { cache: 'no-store' });
+            if (!feed || !feed.year || !Array.isArray(feed.counties)) {
+                throw new Error('feed is missing year or counties');
+            }
+            if (feed.updated && feed.updated === this.liveResults.lastUpdated) {
+                this.setPanelStatus('liveStatus', `No change since ${this.formatLiveTime(feed.updated)}`);
+                return;
+            }
+            
+            // Merge on top of any historical data for the year so unreported counties keep their results
+            const year = String(feed.year);
+            this.ensureYearOption(year);
+            await this.processYearData(year);
+            const changedStates = this.dataEngine.applyLiveResults(feed);
+            this.processedYears.add(year);
+            this.liveResults.lastUpdated = feed.updated || null;
+            
+            // Cached lookups and simulations point at the replaced result objects
+            this.countyFipsCache.clear();
+            this.fipsMatchCache.clear();
+            this.scenario.engine = null;
+            
+            // Jump to the live year the first time the feed is seen
+            if (this.liveResults.year !== year) {
+                this.liveResults.year = year;
+                this.currentYear = year;
+                document.getElementById('yearSelect').value = year;
+                this.syncTimelineScrub();
+                this.updateUrl();
+            }
+            
+            console.log(`Live results: ${feed.counties.length} counties updated in ${changedStates.length} states`);
+            this.setPanelStatus('liveStatus', `Updated ${this.formatLiveTime(feed.updated)}`);
+            if (year === this.currentYear) {
+                this.refreshMapColors();
+                this.updateSidebar();
+            }
+            if (this.isAuditOpen() && document.getElementById('auditYear').value === year) {
+                await this.runDataAudit();
+            }
+        } catch (error) {
+            console.error('Error polling live results:', error);
+            this.setPanelStatus('liveStatus', `Feed error: ${error.message}`, true);
+        } finally {
+            this.liveResults.polling = false;
+        }
+    }
+
+    ensureYearOption(year) {
+        // A live year may not be in the historical data; add it to the year selector
+        const yearSelect = document.getElementById('yearSelect');
+        if (this.isValidYear(year)) return;
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = `${year} (live)`;
+        yearSelect.insertBefore(option, yearSelect.firstChild);
+    }
+
+    formatLiveTime(timestamp) {
+        const date = timestamp ? new Date(timestamp) : new Date();
+        return (isNaN(date) ? new Date() : date).toLocaleTimeString();
+    }
+
+    formatReporting(reporting) {
+        return reporting >= 99.5 && reporting < 100 ? '>99' : Math.round(reporting).toString();
+    }
+
+    renderReportingStatus(reporting) {
+        return `
+            <div class="reporting-status">
+                <div class="reporting-bar"><div class="reporting-fill" style="width: ${reporting}%"></div></div>
+                ${this.formatReporting(reporting)}% of expected vote reported
+            </div>
+        `;
+    }
+
+    renderLiveNationalStatus() {
+        const stateResults = Array.from(this.getYearStateResults().values());
+        const complete = stateResults.filter(result => result.reporting === undefined || result.reporting >= 100).length;
+        return `
+            <div class="reporting-status">
+                Live results: ${complete} of ${stateResults.length} states fully reporting
+                ${this.liveResults.lastUpdated ? `· updated ${this.formatLiveTime(this.liveResults.lastUpdated)}` : ''}
+            </div>
+        `;
+    }
+
+    getReportingLine(result) {
+        return result && result.reporting !== undefined
+            ? `<br/>${this.formatReporting(result.reporting)}% reporting`
+            : '';
+    }
+
+    getSimulatedTag(result) {
+        return result && result.simulated ? ' <span class="simulated-tag">Simulated</span>' : '';
+    }
+
+    // Race-call paint mode
+    setupPaintPanel() {
+        const startSelect = document.getElementById('paintStartSelect');
+        
+        startSelect.innerHTML = '<option value="">Blank map</option>' +
+            Array.from(document.getElementById('yearSelect').options)
+                .map(option => `<option value="${option.value}">${option.value} results</option>`)
+                .join('');
+        this.refreshSavedRaceCalls();
+        
+        document.getElementById('paintButton').addEventListener('click', () => {
+            this.setPaintMode(!this.paintMode.enabled);
+        });
+        document.getElementById('paintClose').addEventListener('click', () => this.setPaintMode(false));
+        
+        document.getElementById('paintStart').addEventListener('click', async () => {
+            await this.startRaceCalls(startSelect.value || null);
+        });
+        
+        document.getElementById('paintSave').addEventListener('click', () => {
+            const nameInput = document.getElementById('paintSaveName');
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.setPanelStatus('paintStatus', 'Enter a name to save this map.', true);
+                return;
+            }
+            this.saveRaceCalls(name);
+            nameInput.value = '';
+        });
+        document.getElementById('paintLoad').addEventListener('click', () => {
+            const name = document.getElementById('paintSavedSelect').value;
+            if (name) this.loadSavedRaceCalls(name);
+        });
+        document.getElementById('paintDelete').addEventListener('click', () => {
+            const name = document.getElementById('paintSavedSelect').value;
+            if (name) this.deleteSavedRaceCalls(name);
+        });
+        
+        document.getElementById('paintExport').addEventListener('click', () => this.exportRaceCalls());
+        document.getElementById('paintImport').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow re-importing the same file
+            if (file) await this.importRaceCalls(file);
+        });
+    }
+
+    setPaintMode(enabled) {
+        this.paintMode.enabled = enabled;
+        document.getElementById('paint-panel').style.display = enabled ? 'block' : 'none';
+        document.getElementById('paintButton').classList.toggle('active', enabled);
+        this.hideTooltip();
+        
+        // Painting happens on the national map
+        if (enabled && this.currentLevel !== 'national') {
+            this.navigateToNational();
+        }
+        this.refreshMapColors();
+        this.updateSidebar();
+    }
+
+    getRaceCallColor(stateName) {
+        const call = this.paintMode.calls[stateName];
+        if (call === 'REPUBLICAN' || call === 'DEMOCRAT') return this.getPartyColor(call);
+        return call === 'TOSSUP' ? this.raceCallColors.TOSSUP : this.raceCallColors.UNCALLED;
+    }
+
+    getRaceCallLabel(call) {
+        if (call === 'TOSSUP') return 'Toss-up';
+        return call ? this.getPartyName(call) : 'Uncalled';
+    }
+
+    cycleRaceCall(stateName, element) {
+        // Uncalled -> Republican -> Democrat -> Toss-up -> Uncalled
+        const currentIndex = this.raceCallCycle.indexOf(this.paintMode.calls[stateName] || null);
+        const nextCall = this.raceCallCycle[(currentIndex + 1) % this.raceCallCycle.length];
+        if (nextCall) {
+            this.paintMode.calls[stateName] = nextCall;
+        } else {
+            delete this.paintMode.calls[stateName];
+        }
+        delete this.paintMode.splits[stateName]; // A hand call covers the whole state
+        
+        const label = `${this.formatStateLabel(stateName)}: ${this.getRaceCallLabel(nextCall)}`;
+        d3.select(element)
+            .attr('fill', this.getRaceCallColor(stateName))
+            .attr('aria-label', label);
+        this.announce(label);
+        this.updateSidebar();
+    }
+
+    async startRaceCalls(fromYear) {
+        // Blank map, or every state called for its actual winner in `fromYear`
+        if (fromYear) {
+            await this.processYearData(fromYear);
+            this.paintMode.calls = this.dataEngine.getRaceCallsFromResults(fromYear);
+            this.paintMode.splits = this.dataEngine.getRaceCallSplits(fromYear);
+            this.setPanelStatus('paintStatus', `Started from ${fromYear} results.`);
+        } else {
+            this.paintMode.calls = {};
+            this.paintMode.splits = {};
+            this.setPanelStatus('paintStatus', 'Started from a blank map.');
+        }
+        this.refreshMapColors();
+        this.updateSidebar();
+    }
+
+    applyRaceCalls(data) {
+        // Accepts saved or imported race calls; unknown states and calls are dropped
+        if (!data || typeof data.calls !== 'object' || data.calls === null) {
+            throw new Error('Not a race-call file');
+        }
         
-        // Use faster transition for county-to-county navigation
-        const duration = fastTransition ? 150 : 750;
+        const calls = {};
+        Object.entries(data.calls).forEach(([stateName, call]) => {
+            if (this.statePostalCodes[stateName] && ElectionDataEngine.RACE_CALLS.includes(call)) {
+                calls[stateName] = call;
+            }
+        });
+        this.paintMode.calls = calls;
+        
+        // Splits only for called Maine and Nebraska, adding up to the state's electoral votes in the calls' year
+        const year = data.year && this.isValidYear(data.year) ? data.year : this.currentYear;
+        const splits = {};
+        Object.entries(data.splits || {}).forEach(([stateName, split]) => {
+            if (!ElectionDataEngine.DISTRICT_ELECTORAL_RESULTS[stateName] || !calls[stateName]) return;
+            if (typeof split !== 'object' || split === null) return;
+            const entries = Object.entries(split).filter(([party, votes]) => ElectionDataEngine.RACE_CALLS.includes(party) && Number.isInteger(votes) && votes > 0);
+            const total = entries.reduce((sum, [, votes]) => sum + votes, 0);
+            if (total === this.dataEngine.getStateElectoralVotes(stateName, year)) splits[stateName] = Object.fromEntries(entries);
+        });
+        this.paintMode.splits = splits;
         
-        this.svg.transition()
-            .duration(duration)
-            .call(this.zoom.transform, d3.zoomIdentity.translate(translate[0], translate[1]).scale(scale));
+        // Restore the electoral map the calls were made on
+        const yearSelect = document.getElementById('yearSelect');
+        if (data.year && data.year !== this.currentYear && this.isValidYear(data.year)) {
+            yearSelect.value = data.year;
+            yearSelect.dispatchEvent(new Event('change'));
+        } else {
+            this.refreshMapColors();
+            this.updateSidebar();
+        }
+    }
+
+    getSavedRaceCalls() {
+        try {
+            return JSON.parse(localStorage.getItem(this.raceCallStorageKey)) || {};
+        } catch (error) {
+            console.warn('Could not read saved race calls:', error);
+            return {};
+        }
+    }
+
+    writeSavedRaceCalls(saved) {
+        try {
+            localStorage.setItem(this.raceCallStorageKey, JSON.stringify(saved));
+            return true;
+        } catch (error) {
+            console.warn('Could not save race calls:', error);
+            this.setPanelStatus('paintStatus', 'Saving failed: browser storage is unavailable.', true);
+            return false;
+        }
+    }
+
+    refreshSavedRaceCalls() {
+        const names = Object.keys(this.getSavedRaceCalls()).sort();
+        document.getElementById('paintSavedSelect').innerHTML = names.length > 0
+            ? names.map(name => `<option value="${name.replace(/"/g, '&quot;')}">${name.replace(/</g, '&lt;')}</option>`).join('')
+            : '<option value="">No saved maps</option>';
+    }
+
+    saveRaceCalls(name) {
+        const saved = this.getSavedRaceCalls();
+        saved[name] = { year: this.currentYear, calls: { ...this.paintMode.calls }, splits: { ...this.paintMode.splits }, savedAt: new Date().toISOString() };
+        if (this.writeSavedRaceCalls(saved)) {
+            this.refreshSavedRaceCalls();
+            document.getElementById('paintSavedSelect').value = name;
+            this.setPanelStatus('paintStatus', `Saved "${name}".`);
+        }
+    }
+
+    loadSavedRaceCalls(name) {
+        const saved = this.getSavedRaceCalls()[name];
+        if (!saved) return;
+        this.applyRaceCalls(saved);
+        this.setPanelStatus('paintStatus', `Loaded "${name}".`);
+    }
+
+    deleteSavedRaceCalls(name) {
+        const saved = this.getSavedRaceCalls();
+        delete saved[name];
+        if (this.writeSavedRaceCalls(saved)) {
+            this.refreshSavedRaceCalls();
+            this.setPanelStatus('paintStatus', `Deleted "${name}".`);
+        }
+    }
+
+    exportRaceCalls() {
+        const data = { type: 'race-calls', version: 1, year: this.currentYear, calls: this.paintMode.calls, splits: this.paintMode.splits };
+        this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `race-calls-${this.currentYear}.json`);
+    }
+
+    downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        // Revoking in the same task can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    async importRaceCalls(file) {
+        try {
+            this.applyRaceCalls(JSON.parse(await file.text()));
+            this.setPanelStatus('paintStatus', `Imported ${file.name}.`);
+        } catch (error) {
+            console.error('Error importing race calls:', error);
+            this.setPanelStatus('paintStatus', `Could not import ${file.name}: ${error.message}`, true);
+        }
+    }
+
+    updateRaceCallSidebar(resultsContainer, winnerInfo) {
+        const tally = this.dataEngine.tallyRaceCalls(this.paintMode.calls, this.currentYear, this.paintMode.splits);
+        const leader = tally.winner || this.dataEngine.determineWinner(
+            new Map([['REPUBLICAN', tally.totals.get('REPUBLICAN')], ['DEMOCRAT', tally.totals.get('DEMOCRAT')]]));
+        
+        winnerInfo.querySelector('.winner-banner').className = `winner-banner ${this.getPartyCssClass(leader)}`;
+        winnerInfo.querySelector('.winner-text').textContent = tally.winner ? 'Projected winner' : 'No majority yet';
+        document.getElementById('winner-name').textContent = leader === 'UNKNOWN' ? 'No calls' : this.getPartyName(leader);
+        document.getElementById('winner-party').textContent = leader === 'UNKNOWN'
+            ? `${tally.votesToWin} electoral votes to win`
+            : `${tally.totals.get(leader)} electoral votes`;
+        
+        const countStates = call => Object.values(this.paintMode.calls).filter(value => value === call).length;
+        const calledStates = Object.keys(this.paintMode.calls).length;
+        const rows = ['REPUBLICAN', 'DEMOCRAT', 'TOSSUP'].map(call => `
+            <div class="race-call-row">
+                <span class="race-call-swatch" style="background: ${call === 'TOSSUP' ? this.raceCallColors.TOSSUP : this.getPartyColor(call)}"></span>
+                <span class="race-call-label">${this.getRaceCallLabel(call)}</span>
+                <span>${tally.totals.get(call)} EV · ${countStates(call)} states</span>
+            </div>
+        `).join('');
+        const tossups = Object.keys(this.paintMode.calls)
+            .filter(stateName => this.paintMode.calls[stateName] === 'TOSSUP')
+            .map(stateName => this.statePostalCodes[stateName])
+            .sort();
+        
+        resultsContainer.innerHTML = this.renderElectoralTracker(tally) + rows + `
+            <div class="race-call-row">
+                <span class="race-call-swatch" style="background: ${this.raceCallColors.UNCALLED}"></span>
+                <span class="race-call-label">Uncalled</span>
+                <span>${tally.uncalled} EV · ${Object.keys(this.statePostalCodes).length - calledStates} states</span>
+            </div>
+            ${tossups.length > 0 ? `<p class="race-call-tossups">Toss-ups: ${tossups.join(', ')}</p>` : ''}
+            <p style="margin-top: 1rem; opacity: 0.8; font-size: 0.9rem;">
+                Click a state to cycle Republican, Democrat, toss-up and uncalled.
+                Maine and Nebraska are called as a whole, except for a district split kept from the start year.
+            </p>
+        `;
+    }
+
+    showRaceCallTooltip(event, stateName) {
+        const electoralVotes = this.dataEngine.getStateElectoralVotes(stateName, this.currentYear);
+        this.showTooltip(event, `
+            <strong>${stateName}</strong><br/>
+            <span class="tooltip-swatch" style="background: ${this.getRaceCallColor(stateName)}"></span>${this.getRaceCallLabel(this.paintMode.calls[stateName])}<br/>
+            Electoral votes: ${electoralVotes}
+        `);
     }
 
     showLoading() {
@@ -1255,6 +3764,28 @@ class ElectionMap {
         // Loading will be replaced by regular content in updateSidebar
     }
 
+    showDataProgress(label, fraction) {
+        // Persistent sidebar bar for data loading; fraction null means indeterminate
+        const progress = document.getElementById('data-progress');
+        if (!progress) return;
+        
+        const percent = fraction === null || fraction === undefined ? null : Math.round(fraction * 100);
+        progress.style.display = 'block';
+        progress.innerHTML = `
+            <div class="data-progress-label">${label}${percent === null ? '...' : ` ${percent}%`}</div>
+            <div class="data-progress-track ${percent === null ? 'indeterminate' : ''}">
+                <div class="data-progress-fill" style="width: ${percent === null ? 100 : percent}%"></div>
+            </div>
+        `;
+    }
+
+    hideDataProgress() {
+        const progress = document.getElementById('data-progress');
+        if (progress) {
+            progress.style.display = 'none';
+        }
+    }
+
     showError(message) {
         const sidebar = document.getElementById('results-summary');
         if (sidebar) {
@@ -1310,6 +3841,13 @@ class ElectionMap {
         }
     }
 
+    refreshMapColors() {
+        // Force a full redraw so county view doesn't short-circuit on its render cache
+        this.lastRenderedCounty = null;
+        this.updateLegend();
+        this.updateCurrentView();
+    }
+
     updateCurrentView() {
         if (this.debounceTimeout) {
             clearTimeout(this.debounceTimeout);
@@ -1331,6 +3869,10 @@ class ElectionMap {
                         this.renderCountyView();
                         break;
                 }
+                if (this.compareMode.enabled) {
+                    this.renderComparePane();
+                }
+                this.updateRegionAccessibility();
             });
         }, 10);
     }
@@ -1371,7 +3913,7 @@ class ElectionMap {
         }
         
         if (this.currentLevel === 'county') {
-            const countyResult = this.countyResults.get(this.currentYear)?.get(this.currentCounty);
+            const countyResult = this.getCountyResultByKey(this.currentCounty);
             document.querySelectorAll('.breadcrumb-separator')[2].style.display = 'inline';
             document.getElementById('breadcrumb-county').style.display = 'inline';
             document.getElementById('breadcrumb-county').textContent = countyResult?.name || 'County';
@@ -1395,12 +3937,23 @@ class ElectionMap {
 
     updateSidebar() {
         document.getElementById('sidebar-title').textContent = this.getSidebarTitle();
+        this.updateDataTable();
         
         // Don't auto-expand sidebar - let user control it
         
         const resultsContainer = document.getElementById('results-summary');
         const winnerInfo = document.getElementById('winner-info');
         
+        // Race calls have their own export in the paint panel
+        const paintingNational = this.paintMode.enabled && this.currentLevel === 'national';
+        document.getElementById('results-export').style.display = paintingNational ? 'none' : 'flex';
+        if (!paintingNational) this.setResultsExportAvailable(this.hasViewResults());
+        
+        if (paintingNational) {
+            this.updateRaceCallSidebar(resultsContainer, winnerInfo);
+            return;
+        }
+        
         switch (this.currentLevel) {
             case 'national':
                 this.updateNationalSidebar(resultsContainer, winnerInfo);
@@ -1415,104 +3968,194 @@ class ElectionMap {
                 this.updateCountySidebar(resultsContainer, winnerInfo);
                 break;
         }
+        
+        // Swing movers lead the sidebar when comparing years
+        if (this.swingMode.enabled && (this.currentLevel === 'national' || this.currentLevel === 'statewide')) {
+            resultsContainer.insertAdjacentHTML('afterbegin', this.renderSwingSummary());
+        }
+        
+        // Paired columns for the two years being compared
+        if (this.compareMode.enabled) {
+            resultsContainer.insertAdjacentHTML('afterbegin', this.renderYearComparison());
+        }
+        
+        // Projection from loaded partial results, for the selected state
+        const estimate = this.outstandingVote.estimates.get(this.currentState);
+        if (estimate && (this.currentLevel === 'state' || this.currentLevel === 'statewide')) {
+            resultsContainer.insertAdjacentHTML('afterbegin', this.renderOutstandingEstimate(estimate));
+        }
+        
+        // Live results: percent of expected vote counted, and "Leading" until everything is in
+        const reportingResult = this.getCurrentLevelResult();
+        if (reportingResult && reportingResult.reporting !== undefined) {
+            resultsContainer.insertAdjacentHTML('afterbegin', this.renderReportingStatus(reportingResult.reporting));
+            if (reportingResult.reporting < 100) {
+                winnerInfo.querySelector('.winner-text').textContent = 'Leading';
+            }
+        } else if (this.currentLevel === 'national' && this.liveResults.year === this.currentYear) {
+            resultsContainer.insertAdjacentHTML('afterbegin', this.renderLiveNationalStatus());
+        }
+        
+        // Simulated results are always labelled as such
+        if (this.isScenarioActive()) {
+            resultsContainer.insertAdjacentHTML('afterbegin', this.renderScenarioBanner());
+            const winnerText = winnerInfo.querySelector('.winner-text');
+            winnerText.textContent = `Simulated: ${winnerText.textContent}`;
+        }
+    }
+
+    getCurrentLevelResult() {
+        // State result for state-level views, county result in county view, nothing nationally
+        if (this.currentLevel === 'state' || this.currentLevel === 'statewide') {
+            return this.getYearStateResults().get(this.currentState) || null;
+        }
+        if (this.currentLevel === 'county') {
+            return this.getCountyResultByKey(this.currentCounty) || null;
+        }
+        return null;
     }
 
     getSidebarTitle() {
         switch (this.currentLevel) {
             case 'national':
+                if (this.paintMode.enabled) return `Race Calls (${this.currentYear} Electoral Map)`;
                 return `${this.currentYear} National Results`;
             case 'state':
                 return `${this.currentYear} ${this.currentState} Results`;
             case 'statewide':
                 return `${this.currentYear} ${this.currentState} Counties`;
             case 'county':
-                const countyResult = this.countyResults.get(this.currentYear)?.get(this.currentCounty);
+                const countyResult = this.getCountyResultByKey(this.currentCounty);
                 return `${this.currentYear} ${countyResult?.name || 'County'} Results`;
         }
     }
 
     updateNationalSidebar(resultsContainer, winnerInfo) {
-        const yearResults = this.stateResults.get(this.currentYear);
-        if (!yearResults) {
+        if (this.getYearStateResults().size === 0) {
             resultsContainer.innerHTML = '<p>No data available for this year.</p>';
             return;
         }
         
-        const nationalVotes = new Map();
-        const stateWins = new Map();
+        const { votes: nationalVotes, stateWins, candidates: nationalCandidates, totalVotes } =
+            this.getResultsEngine().getNationalTotals(this.currentYear);
         
-        yearResults.forEach(result => {
-            Object.entries(result.votes).forEach(([party, votes]) => {
-                const currentNationalVotes = nationalVotes.get(party) || 0;
-                nationalVotes.set(party, currentNationalVotes + votes);
-            });
-            const currentStateWins = stateWins.get(result.winner) || 0;
-            stateWins.set(result.winner, currentStateWins + 1);
-        });
-        
-        const nationalWinner = this.determineWinner(nationalVotes);
-        this.updateWinnerBanner(winnerInfo, nationalWinner, nationalVotes);
-        
-        const totalVotes = Array.from(nationalVotes.values()).reduce((a, b) => a + b, 0);
-        
-        // Sort parties by vote count (highest to lowest)
-        const sortedParties = Array.from(nationalVotes.entries())
-            .filter(([party, votes]) => votes > 0)
-            .sort(([,a], [,b]) => b - a);
-
-        let partyResults = '';
-        sortedParties.forEach(([party, votes]) => {
-            const statesWon = stateWins.get(party) || 0;
-            const cssClass = this.getPartyCssClass(party);
-            partyResults += `
-                <div class="result-item ${cssClass}">
-                    <div class="candidate-name">${this.getPartyName(party)}</div>
-                    <div class="vote-info">
-                        ${votes.toLocaleString()} votes 
-                        (${((votes / totalVotes) * 100).toFixed(1)}%)
-                    </div>
-                    <div class="vote-info">${statesWon} states won</div>
-                </div>
-            `;
+        // The presidency is decided by electoral votes, not the popular vote (see 2000, 2016)
+        const electoral = this.getResultsEngine().getElectoralVotes(this.currentYear);
+        const electoralLeader = this.dataEngine.determineWinner(electoral.totals);
+        const nationalWinner = electoral.winner || electoralLeader;
+        this.updateWinnerBanner(winnerInfo, nationalWinner, nationalVotes, electoral.totals.get(nationalWinner) || 0, nationalCandidates);
+        winnerInfo.querySelector('.winner-text').textContent = electoral.winner ? 'Winner' : 'Leading (no majority)';
+
+        // Electoral votes and states won belong to each party's leading candidate
+        const partyDetails = new Map();
+        nationalVotes.forEach((votes, party) => {
+            partyDetails.set(party, [
+                `${electoral.totals.get(party) || 0} electoral votes`,
+                `${stateWins.get(party) || 0} states won`
+            ]);
         });
-        
-        resultsContainer.innerHTML = partyResults + `
+
+        // Electoral vote winners first, then everyone else by popular vote
+        const sortedCandidates = nationalCandidates.slice().sort((a, b) =>
+            (electoral.totals.get(b.party) || 0) - (electoral.totals.get(a.party) || 0) || b.votes - a.votes);
+
+        resultsContainer.innerHTML = this.renderElectoralTracker(electoral) +
+            this.renderCandidateItems(sortedCandidates, totalVotes, partyDetails) + `
             <p style="margin-top: 1rem; opacity: 0.8; font-size: 0.9rem;">
                 Click on any state to view state results.
             </p>
         `;
     }
 
+    renderCandidateItems(candidates, totalVotes, partyDetails = new Map()) {
+        // One result card per candidate; extra party-level lines go on the party's top candidate
+        const detailedParties = new Set();
+        return candidates
+            .filter(candidate => candidate.votes > 0)
+            .map(candidate => {
+                const cssClass = this.getPartyCssClass(candidate.party);
+                let details = '';
+                if (!detailedParties.has(candidate.party)) {
+                    detailedParties.add(candidate.party);
+                    details = (partyDetails.get(candidate.party) || [])
+                        .map(line => `<div class="vote-info">${line}</div>`)
+                        .join('');
+                }
+                const runningMate = candidate.runningMate
+                    ? `<div class="running-mate">with ${candidate.runningMate}</div>`
+                    : '';
+                return `
+                    <div class="result-item ${cssClass}" style="--party-color: ${this.getPartyColor(candidate.party)}">
+                        <div class="candidate-name">${candidate.candidate}</div>
+                        ${runningMate}
+                        <div class="candidate-party">${this.getPartyName(candidate.party)}</div>
+                        <div class="vote-info">
+                            ${candidate.votes.toLocaleString()} votes
+                            (${((candidate.votes / totalVotes) * 100).toFixed(1)}%)
+                        </div>
+                        ${details}
+                    </div>
+                `;
+            })
+            .join('');
+    }
+
+    renderStateElectoralSummary(stateName, allocation) {
+        const electoralVotes = this.dataEngine.getStateElectoralVotes(stateName, this.currentYear);
+        const splitNote = allocation.size > 1
+            ? ` (split: ${this.formatElectoralAllocation(allocation)})`
+            : '';
+        return `
+            <p class="ev-state-summary">
+                ${electoralVotes} electoral votes${splitNote}
+            </p>
+        `;
+    }
+
+    renderElectoralTracker(electoral) {
+        // 270-to-win bar: Democrats fill from the left, Republicans from the right
+        const { totals, votesToWin, totalAvailable } = electoral;
+        const democratEv = totals.get('DEMOCRAT') || 0;
+        const republicanEv = totals.get('REPUBLICAN') || 0;
+        const tossupEv = totals.get('TOSSUP') || 0;
+        const otherEv = Array.from(totals.entries())
+            .filter(([party]) => party !== 'DEMOCRAT' && party !== 'REPUBLICAN' && party !== 'TOSSUP')
+            .reduce((sum, [, electoralVotes]) => sum + electoralVotes, 0);
+        const toPercent = (electoralVotes) => ((electoralVotes / totalAvailable) * 100).toFixed(2);
+
+        return `
+            <div class="ev-tracker">
+                <div class="ev-tracker-counts">
+                    <span class="ev-count democrat">${democratEv}</span>
+                    <span class="ev-target">${votesToWin} to win</span>
+                    <span class="ev-count republican">${republicanEv}</span>
+                </div>
+                <div class="ev-bar">
+                    <div class="ev-bar-segment democrat" style="width: ${toPercent(democratEv)}%"></div>
+                    <div class="ev-bar-segment other" style="width: ${toPercent(otherEv)}%"></div>
+                    <div class="ev-bar-segment tossup" style="width: ${toPercent(tossupEv)}%"></div>
+                    <div class="ev-bar-segment uncalled" style="flex: 1"></div>
+                    <div class="ev-bar-segment republican" style="width: ${toPercent(republicanEv)}%"></div>
+                    <div class="ev-bar-threshold"></div>
+                </div>
+            </div>
+        `;
+    }
+
     updateStateSidebar(resultsContainer, winnerInfo) {
-        const stateResult = this.stateResults.get(this.currentYear)?.get(this.currentState);
+        const stateResult = this.getYearStateResults().get(this.currentState);
         if (!stateResult) {
             resultsContainer.innerHTML = '<p>No data available for this state.</p>';
             return;
         }
         
-        this.updateWinnerBanner(winnerInfo, stateResult.winner, stateResult.votes);
+        const allocation = this.dataEngine.allocateStateElectoralVotes(this.currentState, stateResult, this.currentYear);
+        this.updateWinnerBanner(winnerInfo, stateResult.winner, stateResult.votes, allocation.get(stateResult.winner) || 0, stateResult.candidates);
         
         const totalVotes = Object.values(stateResult.votes).reduce((a, b) => a + b, 0);
         
-        // Sort parties by vote count (highest to lowest)
-        const sortedParties = Object.entries(stateResult.votes)
-            .filter(([party, votes]) => votes > 0)
-            .sort(([,a], [,b]) => b - a);
-
-        let partyResults = '';
-        sortedParties.forEach(([party, votes]) => {
-            partyResults += `
-                <div class="result-item ${party.toLowerCase()}">
-                    <div class="candidate-name">${this.getPartyName(party)}</div>
-                    <div class="vote-info">
-                        ${votes.toLocaleString()} votes 
-                        (${((votes / totalVotes) * 100).toFixed(1)}%)
-                    </div>
-                </div>
-            `;
-        });
-        
-        resultsContainer.innerHTML = partyResults + `
+        resultsContainer.innerHTML = this.renderStateElectoralSummary(this.currentState, allocation) +
+            this.renderCandidateItems(stateResult.candidates || [], totalVotes) + `
             <p style="margin-top: 1rem; opacity: 0.8; font-size: 0.9rem;">
                 Click on the state to view county-level breakdown.
             </p>
@@ -1520,25 +4163,18 @@ class ElectionMap {
     }
 
     updateStatewidesSidebar(resultsContainer, winnerInfo) {
-        const stateResult = this.stateResults.get(this.currentYear)?.get(this.currentState);
+        const stateResult = this.getYearStateResults().get(this.currentState);
         if (!stateResult) {
             resultsContainer.innerHTML = '<p>No data available for this state.</p>';
             return;
         }
         
-        this.updateWinnerBanner(winnerInfo, stateResult.winner, stateResult.votes);
+        const allocation = this.dataEngine.allocateStateElectoralVotes(this.currentState, stateResult, this.currentYear);
+        this.updateWinnerBanner(winnerInfo, stateResult.winner, stateResult.votes, allocation.get(stateResult.winner) || 0, stateResult.candidates);
         
         // Count county wins
-        const countyWins = new Map();
-        let totalCounties = 0;
-        
-        this.countyResults.get(this.currentYear)?.forEach((result, fips) => {
-            if (result.state === this.currentState) {
-                const currentWins = countyWins.get(result.winner) || 0;
-                countyWins.set(result.winner, currentWins + 1);
-                totalCounties++;
-            }
-        });
+        const countyWins = this.getResultsEngine().getCountyWins(this.currentYear, this.currentState);
+        const totalCounties = Array.from(countyWins.values()).reduce((a, b) => a + b, 0);
         
         // Special message for Alaska
         if (this.currentState === 'ALASKA' && totalCounties === 0) {
@@ -1554,28 +4190,20 @@ class ElectionMap {
         
         const totalVotes = Object.values(stateResult.votes).reduce((a, b) => a + b, 0);
         
-        // Sort all parties by vote count
-        const sortedParties = Object.entries(stateResult.votes)
-            .filter(([party, votes]) => votes > 0)
-            .sort(([,a], [,b]) => b - a);
-            
-        let partyResults = '';
-        sortedParties.forEach(([party, votes]) => {
-            const countiesWon = countyWins.get(party) || 0;
-            const cssClass = this.getPartyCssClass(party);
-            partyResults += `
-                <div class="result-item ${cssClass}">
-                    <div class="candidate-name">${this.getPartyName(party)}</div>
-                    <div class="vote-info">
-                        ${votes.toLocaleString()} votes 
-                        (${((votes / totalVotes) * 100).toFixed(1)}%)
-                    </div>
-                    <div class="vote-info">${countiesWon} counties won</div>
-                </div>
-            `;
+        const partyDetails = new Map();
+        Object.keys(stateResult.votes).forEach(party => {
+            partyDetails.set(party, [`${countyWins.get(party) || 0} counties won`]);
         });
         
-        resultsContainer.innerHTML = partyResults + `
+        // Vote-mode split is only shown statewide when every county reports it
+        const modes = this.getResultsEngine().getStateModeBreakdown(this.currentYear, this.currentState);
+        const modeNote = !modes.breakdown && modes.reporting > 0
+            ? `Vote-mode breakdown unavailable: only ${modes.reporting} of ${modes.total} counties report vote modes.`
+            : '';
+        
+        resultsContainer.innerHTML = this.renderStateElectoralSummary(this.currentState, allocation) +
+            this.renderCandidateItems(stateResult.candidates || [], totalVotes, partyDetails) +
+            this.renderModeBreakdown(modes.breakdown, modeNote) + `
             <p style="margin-top: 1rem; opacity: 0.8; font-size: 0.9rem;">
                 Click on any county to view detailed results.
             </p>
@@ -1583,78 +4211,389 @@ class ElectionMap {
     }
 
     updateCountySidebar(resultsContainer, winnerInfo) {
-        const countyResult = this.countyResults.get(this.currentYear)?.get(this.currentCounty);
+        const countyResult = this.getCountyResultByKey(this.currentCounty);
         if (!countyResult) {
             resultsContainer.innerHTML = '<p>No data available for this county.</p>';
             return;
         }
         
-        this.updateWinnerBanner(winnerInfo, countyResult.winner, countyResult.votes);
+        this.updateWinnerBanner(winnerInfo, countyResult.winner, countyResult.votes, null, countyResult.candidates);
         
         const totalVotes = Object.values(countyResult.votes).reduce((a, b) => a + b, 0);
         
-        // Get detailed candidate information
-        let candidateInfo = '';
-        const candidatesByParty = {};
+        resultsContainer.innerHTML = this.renderCandidateItems(countyResult.candidates, totalVotes) +
+            this.renderModeBreakdown(countyResult.modeBreakdown) + `
+            <p style="margin-top: 1rem; opacity: 0.8; font-size: 0.9rem;">
+                Total votes: ${totalVotes.toLocaleString()}
+            </p>
+            ${countyResult.crosswalk ? `
+                <p class="crosswalk-note">
+                    ${countyResult.crosswalk.note}. Votes combined from ${countyResult.crosswalk.sources.join(', ')}.
+                </p>
+            ` : ''}
+        `;
+    }
+
+    renderModeBreakdown(breakdown, note = '') {
+        // Stacked bar per party showing how its votes split across early, election day, mail and provisional
+        if (!breakdown) {
+            return note ? `<div class="mode-breakdown"><div class="mode-breakdown-note">${note}</div></div>` : '';
+        }
         
-        countyResult.candidates.forEach(candidate => {
-            if (!candidatesByParty[candidate.party]) {
-                candidatesByParty[candidate.party] = [];
-            }
-            candidatesByParty[candidate.party].push(candidate);
-        });
-        
-        // Sort parties by vote count (highest to lowest)
-        const sortedParties = Object.entries(candidatesByParty)
-            .map(([party, candidates]) => ({
-                party,
-                candidates,
-                votes: countyResult.votes[party]
-            }))
-            .filter(item => item.votes > 0)
-            .sort((a, b) => b.votes - a.votes);
-
-        sortedParties.forEach(({party, candidates, votes}) => {
-            // Deduplicate candidate names (important for aggregated data like Rhode Island)
-            const uniqueCandidates = [...new Set(candidates.map(c => c.candidate))];
-            candidateInfo += `
-                <div class="result-item ${party.toLowerCase()}">
-                    <div class="candidate-name">${uniqueCandidates.join(', ')}</div>
-                    <div class="vote-info">
-                        ${votes.toLocaleString()} votes 
-                        (${((votes / totalVotes) * 100).toFixed(1)}%)
+        const categories = ElectionDataEngine.VOTE_MODE_CATEGORIES.filter(category => breakdown[category.key]);
+        const partyTotals = new Map();
+        const categoryTotals = new Map();
+        categories.forEach(category => {
+            Object.entries(breakdown[category.key]).forEach(([party, votes]) => {
+                partyTotals.set(party, (partyTotals.get(party) || 0) + votes);
+                categoryTotals.set(category.key, (categoryTotals.get(category.key) || 0) + votes);
+            });
+        });
+        const totalVotes = Array.from(partyTotals.values()).reduce((a, b) => a + b, 0);
+        if (totalVotes === 0) return '';
+        
+        const getModeClass = (key) => `mode-${key.toLowerCase().replace(/\s+/g, '-')}`;
+        const partyRows = Array.from(partyTotals.entries())
+            .filter(([, votes]) => votes > 0)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, this.modeBreakdownPartyLimit)
+            .map(([party, partyVotes]) => {
+                const segments = categories.map(category => {
+                    const votes = breakdown[category.key][party] || 0;
+                    if (votes === 0) return '';
+                    const share = (votes / partyVotes) * 100;
+                    return `<div class="mode-segment ${getModeClass(category.key)}" style="width: ${share}%"
+                                 title="${category.label}: ${votes.toLocaleString()} (${share.toFixed(1)}%)"></div>`;
+                }).join('');
+                return `
+                    <div class="mode-party-row">
+                        <div class="mode-party-label">
+                            <span>${this.getPartyName(party)}</span>
+                            <span>${partyVotes.toLocaleString()}</span>
+                        </div>
+                        <div class="mode-bar">${segments}</div>
                     </div>
+                `;
+            }).join('');
+        
+        const legend = categories.map(category => {
+            const votes = categoryTotals.get(category.key) || 0;
+            return `
+                <div class="mode-legend-item">
+                    <span class="mode-swatch ${getModeClass(category.key)}"></span>
+                    ${category.label}: ${votes.toLocaleString()} (${((votes / totalVotes) * 100).toFixed(1)}%)
                 </div>
             `;
-        });
-        
-        resultsContainer.innerHTML = candidateInfo + `
-            <p style="margin-top: 1rem; opacity: 0.8; font-size: 0.9rem;">
-                Total votes: ${totalVotes.toLocaleString()}
-            </p>
+        }).join('');
+        
+        return `
+            <div class="mode-breakdown">
+                <div class="mode-breakdown-title">Votes by mode</div>
+                ${partyRows}
+                <div class="mode-legend">${legend}</div>
+                ${note ? `<div class="mode-breakdown-note">${note}</div>` : ''}
+            </div>
         `;
     }
 
-    updateWinnerBanner(winnerInfo, winner, votes) {
+    updateWinnerBanner(winnerInfo, winner, votes, electoralVotes = null, candidates = null) {
         const winnerBanner = winnerInfo.querySelector('.winner-banner');
         const winnerName = document.getElementById('winner-name');
         const winnerParty = document.getElementById('winner-party');
-        
+
         const cssClass = this.getPartyCssClass(winner);
         winnerBanner.className = `winner-banner ${cssClass}`;
-        winnerName.textContent = this.getPartyName(winner);
-        
+        winnerBanner.style.setProperty('--party-color', this.getPartyColor(winner));
+        winnerInfo.querySelector('.winner-text').textContent = 'Winner';
+
+        // Show the winning party's leading candidate when we have candidate-level data
+        const leadingCandidate = this.dataEngine.getLeadingCandidate(candidates, winner);
+        winnerName.textContent = leadingCandidate ? leadingCandidate.candidate : this.getPartyName(winner);
+
         // Handle both Map objects and regular objects
-        const winnerVotes = votes instanceof Map ? votes.get(winner) : votes[winner];
-        winnerParty.textContent = `${winnerVotes.toLocaleString()} votes`;
+        const winnerVotes = (votes instanceof Map ? votes.get(winner) : votes[winner]) || 0;
+        const partyText = leadingCandidate ? `${this.getPartyName(winner)} · ` : '';
+        const electoralText = electoralVotes !== null ? `${electoralVotes} electoral votes · ` : '';
+        winnerParty.textContent = `${partyText}${electoralText}${winnerVotes.toLocaleString()} votes`;
+    }
+
+    getResultColor(result) {
+        // Fill color for a state/county result in the active color mode
+        if (!result || result.winner === 'UNKNOWN') return '#666';
+        return this.applyReportingTreatment(this.getBaseResultColor(result), result);
+    }
+
+    getBaseResultColor(result) {
+        if (this.colorMode !== 'margin') return this.getPartyColor(result.winner);
+
+        const ramp = this.getMarginRamp(result.winner);
+        if (!ramp) return this.getPartyColor(result.winner);
+        return ramp[this.getMarginBin(this.getResultMargin(result))];
+    }
+
+    applyReportingTreatment(color, result) {
+        // Partially reporting live results are drawn lighter and hatched
+        if (result.reporting === undefined || result.reporting >= 100) return color;
+        return `url(#${this.getReportingPattern(color)})`;
+    }
+
+    getReportingPattern(color) {
+        // One hatch pattern per base color, kept in <defs> outside the zoomed group
+        const id = `reporting-hatch-${color.replace(/[^a-zA-Z0-9]/g, '')}`;
+        let defs = this.svg.select('defs');
+        if (defs.empty()) defs = this.svg.insert('defs', ':first-child');
+        if (!defs.select(`#${id}`).empty()) return id;
+        
+        const size = this.reportingHatchSize;
+        const pattern = defs.append('pattern')
+            .attr('id', id)
+            .attr('class', 'reporting-hatch')
+            .attr('patternUnits', 'userSpaceOnUse')
+            .attr('width', size)
+            .attr('height', size)
+            .attr('patternTransform', `rotate(45) scale(${1 / d3.zoomTransform(this.svg.node()).k})`);
+        pattern.append('rect')
+            .attr('width', size)
+            .attr('height', size)
+            .attr('fill', d3.interpolateRgb(color, '#ffffff')(0.55));
+        pattern.append('line')
+            .attr('x1', 0)
+            .attr('y1', 0)
+            .attr('x2', 0)
+            .attr('y2', size)
+            .attr('stroke', color)
+            .attr('stroke-width', size / 2);
+        return id;
+    }
+
+    getResultMargin(result) {
+        // Winning margin in percentage points over the runner-up
+        const sortedVotes = Object.values(result.votes).sort((a, b) => b - a);
+        const totalVotes = sortedVotes.reduce((a, b) => a + b, 0);
+        if (!totalVotes) return 0;
+        return ((sortedVotes[0] - (sortedVotes[1] || 0)) / totalVotes) * 100;
+    }
+
+    getMarginBin(margin) {
+        const binIndex = this.marginBreakpoints.findIndex(breakpoint => margin < breakpoint);
+        return binIndex === -1 ? this.marginBreakpoints.length : binIndex;
+    }
+
+    getMarginRamp(party) {
+        // Graded light-to-dark ramp with one shade per margin bin
+        const endpoints = this.marginRampEndpoints[party];
+        if (!endpoints) return null;
+        return d3.quantize(d3.interpolateRgb(endpoints[0], endpoints[1]), this.marginBreakpoints.length + 1);
+    }
+
+    setMarginBreakpoints(value) {
+        // Accepts "5, 10, 20" style input; ignores invalid entries and keeps the list ascending
+        const breakpoints = value.split(',')
+            .map(part => parseFloat(part))
+            .filter(breakpoint => !isNaN(breakpoint) && breakpoint > 0 && breakpoint < 100)
+            .sort((a, b) => a - b);
+        if (breakpoints.length === 0) return false;
+
+        this.marginBreakpoints = [...new Set(breakpoints)];
+        return true;
+    }
+
+    updateLegend() {
+        const legend = document.querySelector('.legend');
+        if (!legend) return;
+
+        if (this.paintMode.enabled) {
+            const swatch = (color, label) =>
+                `<div class="legend-item"><div class="legend-color" style="background: ${color}"></div><span>${label}</span></div>`;
+            legend.innerHTML = `
+                <div class="legend-title">Race calls</div>
+                ${swatch(this.getPartyColor('REPUBLICAN'), 'Republican')}
+                ${swatch(this.getPartyColor('DEMOCRAT'), 'Democrat')}
+                ${swatch(this.raceCallColors.TOSSUP, 'Toss-up')}
+                ${swatch(this.raceCallColors.UNCALLED, 'Uncalled')}
+            `;
+            return;
+        }
+
+        if (this.swingMode.enabled) {
+            legend.innerHTML = `
+                <div class="legend-title">Shift in margin since ${this.swingMode.baseYear}</div>
+                <div class="legend-item"><span class="legend-arrow republican">↗</span><span>Toward Republicans</span></div>
+                <div class="legend-item"><span class="legend-arrow democrat">↖</span><span>Toward Democrats</span></div>
+                <div class="legend-item"><span class="legend-missing"></span><span>Missing in one year</span></div>
+            `;
+            return;
+        }
+        
+        if (this.colorMode !== 'margin') {
+            legend.innerHTML = this.defaultLegendHtml + this.getReportingLegendItem() + this.getBubbleLegendItem();
+            return;
+        }
+
+        // Binned legend: one swatch per margin bin for each party ramp
+        const labels = this.marginBreakpoints.map((breakpoint, i) =>
+            i === 0 ? `<${breakpoint}` : `${this.marginBreakpoints[i - 1]}–${breakpoint}`);
+        labels.push(`${this.marginBreakpoints[this.marginBreakpoints.length - 1]}+`);
+
+        const rows = Object.keys(this.marginRampEndpoints).map(party => {
+            const swatches = this.getMarginRamp(party)
+                .map((color, i) => `<div class="legend-bin" style="background: ${color}" title="${labels[i]} pts"></div>`)
+                .join('');
+            return `
+                <div class="legend-item">
+                    <span class="legend-ramp-label">${this.getPartyName(party)}</span>
+                    <div class="legend-ramp">${swatches}</div>
+                </div>
+            `;
+        }).join('');
+
+        legend.innerHTML = `
+            <div class="legend-title">Winning margin (pts)</div>
+            ${rows}
+            <div class="legend-item legend-bin-labels">
+                <span class="legend-ramp-label"></span>
+                <div class="legend-ramp">${labels.map(label => `<span>${label}</span>`).join('')}</div>
+            </div>
+            ${this.getReportingLegendItem()}
+            ${this.getBubbleLegendItem()}
+        `;
+    }
+
+    getReportingLegendItem() {
+        if (this.liveResults.year !== this.currentYear) return '';
+        return `
+            <div class="legend-item">
+                <svg class="legend-color" width="20" height="20"><rect width="20" height="20" fill="url(#${this.getReportingPattern('#888888')})"/></svg>
+                <span>Partially reporting</span>
+            </div>
+        `;
     }
 
     getPartyColor(party) {
-        switch (party) {
-            case 'REPUBLICAN': return '#DC143C';
-            case 'DEMOCRAT': return '#4169E1';
-            case 'LIBERTARIAN': return '#FED105'; // Libertarian Party official yellow
-            default: return '#9370DB'; // Purple for other third parties
+        return this.palette.overrides[party] || this.getThemeColor(party);
+    }
+
+    getThemeColor(party) {
+        const colors = this.partyPalettes[this.palette.name].colors;
+        return colors[party] || colors.OTHER;
+    }
+
+    getPartySwatch(party) {
+        return `<span class="tooltip-swatch" style="background: ${this.getPartyColor(party)}"></span>`;
+    }
+
+    // Party color palettes
+    setupPaletteControls() {
+        const paletteSelect = document.getElementById('paletteSelect');
+        paletteSelect.innerHTML = Object.entries(this.partyPalettes)
+            .map(([name, palette]) => `<option value="${name}">${palette.label}</option>`)
+            .join('');
+        this.palette = this.getSavedPalette();
+        paletteSelect.value = this.palette.name;
+        this.applyPalette();
+        
+        paletteSelect.addEventListener('change', (e) => {
+            this.palette.name = e.target.value;
+            this.savePalette();
+            this.applyPalette();
+        });
+        document.getElementById('colorsButton').addEventListener('click', () => {
+            this.toggleToolPanel('colors-panel', 'colorsButton');
+        });
+        document.getElementById('colorsClose').addEventListener('click', () => {
+            this.toggleToolPanel('colors-panel', 'colorsButton', false);
+        });
+        document.getElementById('colorsReset').addEventListener('click', () => {
+            this.palette.overrides = {};
+            this.savePalette();
+            this.applyPalette();
+        });
+        document.getElementById('partyColorList').addEventListener('change', (e) => {
+            if (e.target.dataset.party) this.setPartyColor(e.target.dataset.party, e.target.value);
+        });
+    }
+
+    setPartyColor(party, color) {
+        // Picking the theme's own color drops the override, so later theme changes apply to the party again
+        if (color.toLowerCase() === this.getThemeColor(party).toLowerCase()) {
+            delete this.palette.overrides[party];
+        } else {
+            this.palette.overrides[party] = color;
+        }
+        this.savePalette();
+        this.applyPalette();
+    }
+
+    applyPalette() {
+        // Map fills, arrows, bubbles and tooltips call getPartyColor(); the sidebar, banners and legend
+        // read these CSS custom properties
+        const rootStyle = document.documentElement.style;
+        ['REPUBLICAN', 'DEMOCRAT', 'LIBERTARIAN', 'OTHER'].forEach(party => {
+            rootStyle.setProperty(`--party-${party.toLowerCase()}`, this.getPartyColor(party));
+        });
+        ['REPUBLICAN', 'DEMOCRAT'].forEach(party => {
+            const color = d3.color(this.getPartyColor(party));
+            rootStyle.setProperty(`--party-${party.toLowerCase()}-deep`, color.darker(1.4).formatHex());
+            rootStyle.setProperty(`--party-${party.toLowerCase()}-dark`, color.darker(0.6).formatHex());
+        });
+        
+        // Margin ramps follow an overridden major-party color from light to dark
+        const ramps = this.partyPalettes[this.palette.name].marginRamps;
+        this.marginRampEndpoints = {};
+        Object.entries(ramps).forEach(([party, endpoints]) => {
+            const override = this.palette.overrides[party];
+            this.marginRampEndpoints[party] = override
+                ? [d3.interpolateRgb(override, '#ffffff')(0.7), d3.color(override).darker(1.5).formatHex()]
+                : endpoints;
+        });
+        if (this.palette.name === 'grayscale' && this.marginRampsOverlap()) {
+            console.warn('Grayscale margin ramps share shades; Democratic and Republican margins will be indistinguishable');
+        }
+        
+        this.renderPartyColorInputs();
+        if (this.topology) {
+            this.refreshMapColors();
+            this.updateSidebar();
+        }
+    }
+
+    marginRampsOverlap() {
+        // Whether the major-party ramps share any lightness, i.e. some margins look alike in grayscale
+        const [democrat, republican] = ['DEMOCRAT', 'REPUBLICAN']
+            .map(party => this.marginRampEndpoints[party].map(color => d3.lab(color).l));
+        return Math.min(...democrat) <= Math.max(...republican) && Math.min(...republican) <= Math.max(...democrat);
+    }
+
+    renderPartyColorInputs() {
+        document.getElementById('partyColorList').innerHTML = this.paletteParties.map(party => `
+            <label class="party-color-row">
+                <input type="color" data-party="${party}" value="${this.getPartyColor(party).toLowerCase()}">
+                <span>${party === 'OTHER' ? 'Other parties' : this.getPartyName(party)}</span>
+                ${this.palette.overrides[party] ? '<span class="party-color-custom">Custom</span>' : ''}
+            </label>
+        `).join('');
+    }
+
+    getSavedPalette() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.paletteStorageKey));
+            if (saved && this.partyPalettes[saved.name]) {
+                // Only keep well-formed colors; anything else falls back to the theme
+                const overrides = Object.fromEntries(Object.entries(saved.overrides || {})
+                    .filter(([, color]) => /^#[0-9a-f]{6}$/i.test(color)));
+                return { name: saved.name, overrides };
+            }
+        } catch (error) {
+            console.warn('Could not read saved palette:', error);
+        }
+        return { name: 'traditional', overrides: {} };
+    }
+
+    savePalette() {
+        try {
+            localStorage.setItem(this.paletteStorageKey, JSON.stringify(this.palette));
+        } catch (error) {
+            console.warn('Could not save palette:', error);
         }
     }
 
@@ -1693,20 +4632,8 @@ class ElectionMap {
             return this.fipsMatchCache.get(cacheKey);
         }
         
-        const formats = [
-            topoId,                           // "01009" - full 5-digit
-            parseInt(topoId).toString(),      // "1009" - remove leading zero
-            topoId.substring(2),              // "009" - county part only  
-            parseInt(topoId.substring(2)).toString() // "9" - county without leading zeros
-        ];
-        
-        let result = null;
-        for (const format of formats) {
-            result = this.countyResults.get(year)?.get(format);
-            if (result && result.state === state) {
-                break;
-            }
-        }
+        // Same matching as findCountyFips, for any year
+        const result = this.getResultsEngine(year).matchCountyResult(year, topoId, state)?.result || null;
         
         // Cache the result (even if null) to avoid future lookups
         this.fipsMatchCache.set(cacheKey, result);
@@ -1737,26 +4664,42 @@ class ElectionMap {
         return this.getStateName(fipsCode);
     }
 
-    showStateTooltip(event, stateName, result) {
+    showStateTooltip(event, stateName, result, year = this.currentYear) {
         if (!result) return;
         
         const totalVotes = Object.values(result.votes).reduce((a, b) => a + b, 0);
         const winnerVotes = result.votes[result.winner];
         const percentage = ((winnerVotes / totalVotes) * 100).toFixed(1);
-        
+        const allocation = this.dataEngine.allocateStateElectoralVotes(stateName, result, year);
+        const electoralVotes = this.dataEngine.getStateElectoralVotes(stateName, year);
+        const swingLine = year === this.currentYear ? this.getStateSwingLine(stateName, result) : '';
+        const splitNote = allocation.size > 1 ? ` (${this.formatElectoralAllocation(allocation)})` : '';
+
         this.tooltip.transition()
             .duration(200)
             .style('opacity', .9);
-            
+
         this.tooltip.html(`
-            <strong>${stateName}</strong><br/>
-            Winner: ${this.getPartyName(result.winner)}<br/>
-            Votes: ${winnerVotes.toLocaleString()} (${percentage}%)
+            <strong>${stateName}</strong>${this.getSimulatedTag(result)}<br/>
+            ${this.getWinnerHeading(result)}: ${this.getPartySwatch(result.winner)}${this.getWinnerLabel(result)}<br/>
+            Votes: ${winnerVotes.toLocaleString()} (${percentage}%)<br/>
+            Electoral votes: ${electoralVotes}${splitNote}${this.getReportingLine(result)}${swingLine}
         `)
         .style('left', (event.pageX + 10) + 'px')
         .style('top', (event.pageY - 10) + 'px');
     }
 
+    getWinnerHeading(result) {
+        return result.reporting !== undefined && result.reporting < 100 ? 'Leading' : 'Winner';
+    }
+
+    getWinnerLabel(result) {
+        // "Donald J. Trump (Republican)" when candidate data is available, else just the party
+        const leadingCandidate = this.dataEngine.getLeadingCandidate(result.candidates, result.winner);
+        const partyName = this.getPartyName(result.winner);
+        return leadingCandidate ? `${leadingCandidate.candidate} (${partyName})` : partyName;
+    }
+
     showCountyTooltip(event, result) {
         if (!result) return;
         
@@ -1766,9 +4709,9 @@ class ElectionMap {
         
         // Use the same tooltip method for consistency and performance
         this.showTooltip(event, `
-            <strong>${result.name}</strong><br/>
-            Winner: ${this.getPartyName(result.winner)}<br/>
-            Votes: ${winnerVotes.toLocaleString()} (${percentage}%)
+            <strong>${result.name}</strong>${this.getSimulatedTag(result)}<br/>
+            ${this.getWinnerHeading(result)}: ${this.getPartySwatch(result.winner)}${this.getWinnerLabel(result)}<br/>
+            Votes: ${winnerVotes.toLocaleString()} (${percentage}%)${this.getReportingLine(result)}
         `);
     }
 
@@ -1779,16 +4722,23 @@ class ElectionMap {
     }
 
     handleResize() {
-        const container = document.getElementById('map-container');
-        const rect = container.getBoundingClientRect();
+        const rect = this.getMapSize();
         
         this.svg
             .attr('width', rect.width)
             .attr('height', rect.height);
+        this.compareSvg
+            .attr('width', rect.width)
+            .attr('height', rect.height);
             
         this.projection
             .scale(Math.min(rect.width, rect.height) * 1.0)
             .translate([rect.width / 2, rect.height / 2]);
+        
+        // Cached paths and bounds were computed with the old projection
+        this.countyPathCache.clear();
+        this.countyBoundsCache.clear();
+        this.lastRenderedCounty = null;
             
         this.updateCurrentView();
     }
@@ -1800,6 +4750,18 @@ class ElectionMap {
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Without d3/topojson the map can't start; report which library sources failed instead
+    const missingLibraries = window.AssetLoader ? window.AssetLoader.getMissingLibraries() : [];
+    if (missingLibraries.length > 0) {
+        ElectionMap.showAssetDiagnostics(missingLibraries.map(name => ({
+            asset: `Library: ${name}`,
+            attempts: window.AssetLoader.diagnostics
+                .filter(entry => entry.asset === name)
+                .map(entry => ({ source: entry.source, message: entry.message || entry.status }))
+        })));
+        return;
+    }
+    
     const electionMap = new ElectionMap();
     
     // Expose cache clearing for debugging
@@ -0,0 +1,467 @@
+// Regression tests for election-data-engine.js. Run with `node --test test/`.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ElectionDataEngine = require('../election-data-engine.js');
+
+function loadFixture(name) {
+    return ElectionDataEngine.parseCsv(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+function engineFor(fixture) {
+    const engine = new ElectionDataEngine();
+    engine.processYearRows(loadFixture(fixture));
+    return engine;
+}
+
+describe('parseCsv', () => {
+    test('handles quoted fields, doubled quotes and CRLF line endings', () => {
+        const rows = ElectionDataEngine.parseCsv('a,b\r\n"x, y","say ""hi"""\r\n1,\r\n');
+        assert.deepEqual(rows, [{ a: 'x, y', b: 'say "hi"' }, { a: '1', b: '' }]);
+    });
+
+    test('reports progress as a fraction of the text', () => {
+        const text = 'a\n' + '1\n'.repeat(25000);
+        const fractions = [];
+        ElectionDataEngine.parseCsv(text, fraction => fractions.push(fraction));
+        assert.equal(fractions.length, 2);
+        assert.ok(fractions[0] > 0.3 && fractions[0] < 0.5);
+    });
+});
+
+describe('mode resolution', () => {
+    const engine = engineFor('modes.csv');
+
+    test('TOTAL VOTES is used instead of adding it to its component modes', () => {
+        const appling = engine.getCountyTotals('2020', '13001');
+        assert.deepEqual(appling.votes, { REPUBLICAN: 6500, DEMOCRAT: 1500 });
+        assert.equal(appling.modeResolution, 'TOTAL VOTES');
+    });
+
+    test('component modes are summed when no total is reported', () => {
+        const atkinson = engine.getCountyTotals('2020', '13003');
+        assert.deepEqual(atkinson.votes, { REPUBLICAN: 1700, DEMOCRAT: 1600 });
+        assert.equal(atkinson.modeResolution, 'COMPONENTS');
+    });
+
+    test('component modes are kept as a per-party breakdown', () => {
+        assert.deepEqual(engine.getCountyTotals('2020', '13003').modeBreakdown, {
+            'ELECTION DAY': { REPUBLICAN: 1000, DEMOCRAT: 700 },
+            'MAIL': { REPUBLICAN: 600, DEMOCRAT: 900 },
+            'PROVISIONAL': { REPUBLICAN: 100 }
+        });
+        assert.equal(engine.getCountyTotals('2000', '13001').modeBreakdown, null);
+        assert.equal(engine.getVoteModeCategory('ONE STOP'), 'EARLY');
+        assert.equal(engine.getVoteModeCategory('FAILSAFE PROVISIONAL'), 'PROVISIONAL');
+    });
+
+    test('state mode breakdown requires every county to report modes', () => {
+        const georgia = engine.getStateModeBreakdown('2020', 'GEORGIA');
+        assert.equal(georgia.reporting, 2);
+        assert.deepEqual(georgia.breakdown['MAIL'], { REPUBLICAN: 3100, DEMOCRAT: 1400 });
+
+        const partial = engineFor('modes.csv');
+        partial.processYearRows([{ year: '2020', state: 'GEORGIA', county_name: 'BACON', county_fips: '13005',
+            candidate: 'DONALD J TRUMP', party: 'REPUBLICAN', candidatevotes: '4000', mode: 'TOTAL' }]);
+        assert.deepEqual(partial.getStateModeBreakdown('2020', 'GEORGIA'), { breakdown: null, reporting: 2, total: 3 });
+    });
+
+    test('legacy TOTAL mode is used as-is', () => {
+        const appling = engine.getCountyTotals('2000', '13001');
+        assert.deepEqual(appling.votes, { REPUBLICAN: 3000, DEMOCRAT: 1500 });
+        assert.equal(appling.modeResolution, 'TOTAL');
+    });
+
+    test('state totals are the sum of resolved county totals', () => {
+        assert.deepEqual(engine.getStateTotals('2020', 'GEORGIA').votes, { REPUBLICAN: 8200, DEMOCRAT: 3100 });
+        assert.equal(engine.getStateWinner('2020', 'GEORGIA'), 'REPUBLICAN');
+    });
+
+    test('state-only processing matches full processing', () => {
+        const stateEngine = new ElectionDataEngine();
+        stateEngine.processStateRows(loadFixture('modes.csv'), '2020', 'GEORGIA');
+        assert.deepEqual(stateEngine.getCountyTotals('2020', '13001'), engine.getCountyTotals('2020', '13001'));
+        assert.equal(stateEngine.getCountyTotals('2000', '13001'), null);
+        assert.equal(stateEngine.getStateTotals('2020', 'GEORGIA'), null);
+    });
+
+    test('exported results survive a JSON round trip into another engine', () => {
+        const copy = new ElectionDataEngine();
+        copy.importResults('2020', JSON.parse(JSON.stringify(engine.exportResults('2020'))));
+        assert.deepEqual(copy.getStateTotals('2020', 'GEORGIA'), engine.getStateTotals('2020', 'GEORGIA'));
+        assert.deepEqual(copy.getCountyTotals('2020', '13003'), engine.getCountyTotals('2020', '13003'));
+        assert.equal(copy.electionData.get('2020').get('GEORGIA').size, 2);
+    });
+});
+
+describe('row filtering', () => {
+    const engine = engineFor('filtering.csv');
+
+    test('overvotes, undervotes, TOTAL VOTES CAST and invalid rows are dropped', () => {
+        assert.deepEqual(engine.getCountyTotals('2016', '39001').votes, { REPUBLICAN: 9000, DEMOCRAT: 2500 });
+    });
+
+    test('independents sharing a party label stay separate candidates', () => {
+        const beaver = engine.getCountyTotals('2016', '49001');
+        assert.equal(beaver.votes.INDEPENDENT, 540);
+        assert.deepEqual(
+            beaver.candidates.filter(c => c.party === 'INDEPENDENT').map(c => [c.candidate, c.votes]),
+            [['Evan McMullin', 500], ['Bernie Sanders', 40]]
+        );
+    });
+
+    test('candidate names are formatted and major-party running mates attached', () => {
+        const [trump, clinton] = engine.getStateTotals('2016', 'OHIO').candidates;
+        assert.equal(trump.candidate, 'Donald Trump');
+        assert.equal(trump.runningMate, 'Mike Pence');
+        assert.equal(clinton.runningMate, 'Tim Kaine');
+        assert.equal(engine.formatCandidateName('JOSEPH R BIDEN JR'), 'Joseph R. Biden Jr.');
+    });
+});
+
+describe('special states', () => {
+    const engine = engineFor('special-states.csv');
+
+    test('Rhode Island towns are aggregated to their county', () => {
+        assert.deepEqual(engine.getCountyTotals('2020', '44001').votes, { DEMOCRAT: 13000, REPUBLICAN: 7000 });
+        assert.equal(engine.getCountyWinner('2020', '44001'), 'DEMOCRAT');
+        assert.deepEqual(engine.getCountyTotals('2020', '44005').votes, { REPUBLICAN: 9500 });
+        assert.equal(engine.getStateCountyResults('2020', 'RHODE ISLAND').length, 2);
+    });
+
+    test('Alaska districts are stored under their borough FIPS', () => {
+        assert.equal(engine.getCountyTotals('2020', '2001'), null);
+        assert.equal(engine.getCountyWinner('2020', '02240'), 'REPUBLICAN');
+        assert.equal(engine.getCountyWinner('2020', '02158'), 'DEMOCRAT');
+        assert.deepEqual(engine.getStateTotals('2020', 'ALASKA').votes, { REPUBLICAN: 7000, DEMOCRAT: 7000 });
+    });
+
+    test('Maine and Nebraska split electors by congressional district', () => {
+        const maine = engine.allocateStateElectoralVotes('MAINE', engine.getStateTotals('2020', 'MAINE'), '2020');
+        const nebraska = engine.allocateStateElectoralVotes('NEBRASKA', engine.getStateTotals('2020', 'NEBRASKA'), '2020');
+        assert.deepEqual(Object.fromEntries(maine), { DEMOCRAT: 3, REPUBLICAN: 1 });
+        assert.deepEqual(Object.fromEntries(nebraska), { REPUBLICAN: 4, DEMOCRAT: 1 });
+    });
+
+    test('no candidate is declared without an electoral majority', () => {
+        const electoral = engine.getElectoralVotes('2020');
+        assert.equal(electoral.winner, null);
+        assert.equal(electoral.votesToWin, 270);
+    });
+});
+
+describe('what-if scenarios', () => {
+    const engine = engineFor('special-states.csv');
+
+    test('swing and turnout are applied to a copy, leaving real results untouched', () => {
+        const scenario = engine.simulateScenario('2020', { uniformSwing: 10, turnoutChange: 10 });
+        const maine = scenario.getStateTotals('2020', 'MAINE');
+        // 30000 D / 29000 R: R two-party share 49.15% + 5 points, then +10% turnout
+        assert.equal(maine.winner, 'REPUBLICAN');
+        assert.equal(maine.votes.REPUBLICAN + maine.votes.DEMOCRAT, 64900);
+        assert.equal(maine.votes.REPUBLICAN, Math.round(59000 * (29000 / 59000 + 0.05) * 1.1));
+        assert.equal(maine.simulated, true);
+        assert.equal(scenario.getCountyWinner('2020', '23001'), 'REPUBLICAN');
+
+        assert.deepEqual(engine.getStateTotals('2020', 'MAINE').votes, { DEMOCRAT: 30000, REPUBLICAN: 29000 });
+        assert.equal(engine.getStateTotals('2020', 'MAINE').simulated, undefined);
+    });
+
+    test('per-state swings override the uniform swing', () => {
+        const scenario = engine.simulateScenario('2020', { uniformSwing: 10, stateSwings: { NEBRASKA: -10 } });
+        assert.equal(scenario.getStateWinner('2020', 'NEBRASKA'), 'DEMOCRAT');
+        assert.equal(scenario.getStateWinner('2020', 'MAINE'), 'REPUBLICAN');
+    });
+
+    test('simulated Maine and Nebraska give every elector to the statewide winner', () => {
+        const democratic = engine.simulateScenario('2020', { uniformSwing: -60 });
+        assert.deepEqual(Array.from(democratic.getElectoralVotes('2020').byState.get('MAINE')), [['DEMOCRAT', 4]]);
+        const republican = engine.simulateScenario('2020', { uniformSwing: 60 });
+        assert.deepEqual(Array.from(republican.getElectoralVotes('2020').byState.get('MAINE')), [['REPUBLICAN', 4]]);
+        assert.deepEqual(Array.from(republican.getElectoralVotes('2020').byState.get('NEBRASKA')), [['REPUBLICAN', 5]]);
+    });
+
+    test('places without both major parties only get the turnout change', () => {
+        const scenario = engine.simulateScenario('2020', { uniformSwing: -30, turnoutChange: -50 });
+        assert.deepEqual(scenario.getCountyTotals('2020', '44005').votes, { REPUBLICAN: 4750 });
+    });
+});
+
+describe('Electoral College', () => {
+    const engine = new ElectionDataEngine();
+
+    test('every apportionment table totals 538', () => {
+        Object.values(ElectionDataEngine.ELECTORAL_VOTE_TABLES).forEach(table => {
+            assert.equal(Object.values(table).reduce((a, b) => a + b, 0), 538);
+        });
+    });
+
+    test('apportionment follows the census used for each election', () => {
+        assert.equal(engine.getStateElectoralVotes('TEXAS', '2000'), 32);
+        assert.equal(engine.getStateElectoralVotes('TEXAS', '2004'), 34);
+        assert.equal(engine.getStateElectoralVotes('TEXAS', '2012'), 38);
+        assert.equal(engine.getStateElectoralVotes('TEXAS', '2024'), 40);
+    });
+
+    test('race calls are tallied with the apportionment of the chosen year', () => {
+        const calls = { TEXAS: 'REPUBLICAN', CALIFORNIA: 'DEMOCRAT', FLORIDA: 'TOSSUP', OHIO: 'GREEN', NARNIA: 'DEMOCRAT' };
+        const tally = engine.tallyRaceCalls(calls, '2024');
+        assert.equal(tally.totals.get('REPUBLICAN'), 40);
+        assert.equal(tally.totals.get('DEMOCRAT'), 54);
+        assert.equal(tally.totals.get('TOSSUP'), 30);
+        assert.equal(tally.uncalled, 538 - 40 - 54 - 30);
+        assert.equal(tally.winner, null);
+        assert.equal(engine.tallyRaceCalls(calls, '2000').totals.get('REPUBLICAN'), 32);
+    });
+
+    test('the electoral winner can lose the popular vote', () => {
+        // Narrow Republican wins everywhere except landslide Democratic wins in California and New York;
+        // Maine's first district still goes Democratic from the recorded district results
+        const rows = [];
+        Object.keys(ElectionDataEngine.STATE_POSTAL_CODES).forEach((state, index) => {
+            const democraticLandslide = state === 'CALIFORNIA' || state === 'NEW YORK';
+            const fips = String(index + 1).padStart(2, '0') + '001';
+            const base = { year: '2016', state, county_name: 'TEST', county_fips: fips, mode: 'TOTAL' };
+            rows.push({ ...base, candidate: 'DONALD TRUMP', party: 'REPUBLICAN', candidatevotes: democraticLandslide ? '1000' : '51000' });
+            rows.push({ ...base, candidate: 'HILLARY CLINTON', party: 'DEMOCRAT', candidatevotes: democraticLandslide ? '5000000' : '49000' });
+        });
+        engine.processYearRows(rows);
+
+        const national = engine.getNationalTotals('2016');
+        assert.equal(engine.determineWinner(national.votes), 'DEMOCRAT');
+        assert.equal(national.stateWins.get('REPUBLICAN'), 49);
+
+        const electoral = engine.getElectoralVotes('2016');
+        assert.equal(electoral.winner, 'REPUBLICAN');
+        assert.equal(electoral.totals.get('DEMOCRAT'), 55 + 29 + 1);
+        assert.equal(electoral.totals.get('REPUBLICAN'), 538 - 55 - 29 - 1);
+    });
+
+    test('race calls can start from a year of actual results', () => {
+        const calls = engine.getRaceCallsFromResults('2016');
+        assert.equal(calls.CALIFORNIA, 'DEMOCRAT');
+        assert.equal(calls.TEXAS, 'REPUBLICAN');
+        assert.equal(engine.tallyRaceCalls(calls, '2016').winner, 'REPUBLICAN');
+    });
+
+    test('race calls started from a year keep its Maine and Nebraska splits', () => {
+        const splits = engine.getRaceCallSplits('2016');
+        assert.deepEqual(splits, { MAINE: { REPUBLICAN: 3, DEMOCRAT: 1 } });
+
+        const tally = engine.tallyRaceCalls(engine.getRaceCallsFromResults('2016'), '2016', splits);
+        const electoral = engine.getElectoralVotes('2016');
+        assert.equal(tally.totals.get('REPUBLICAN'), electoral.totals.get('REPUBLICAN'));
+        assert.equal(tally.totals.get('DEMOCRAT'), electoral.totals.get('DEMOCRAT'));
+        assert.equal(tally.uncalled, 0);
+    });
+});
+
+describe('live results', () => {
+    const liveCounty = (fips, reporting, republican, democrat) => ({
+        fips, state: 'GEORGIA', name: 'TEST', reporting,
+        candidates: [
+            { candidate: 'Donald J Trump', party: 'REPUBLICAN', votes: republican },
+            { candidate: 'Joseph R Biden Jr', party: 'DEMOCRAT', votes: democrat }
+        ]
+    });
+
+    test('county updates replace the county and re-aggregate its state', () => {
+        const engine = engineFor('modes.csv');
+        const changed = engine.applyLiveResults({ year: 2020, counties: [liveCounty('13001', 50, 2000, 1000)] });
+        assert.deepEqual(changed, ['GEORGIA']);
+
+        const appling = engine.getCountyTotals('2020', '13001');
+        assert.deepEqual(appling.votes, { REPUBLICAN: 2000, DEMOCRAT: 1000 });
+        assert.equal(appling.reporting, 50);
+        assert.equal(appling.modeBreakdown, null);
+
+        // Atkinson keeps its historical 1700-1600 result
+        assert.deepEqual(engine.getStateTotals('2020', 'GEORGIA').votes, { REPUBLICAN: 3700, DEMOCRAT: 2600 });
+    });
+
+    test('statewide reporting is estimated from expected votes unless the feed gives it', () => {
+        const engine = engineFor('modes.csv');
+        engine.applyLiveResults({ year: 2020, counties: [liveCounty('13001', 50, 2000, 1000)] });
+        // 6300 counted of 6000 + 3300 expected
+        assert.ok(Math.abs(engine.getStateTotals('2020', 'GEORGIA').reporting - 6300 / 9300 * 100) < 1e-9);
+
+        engine.applyLiveResults({ year: 2020, counties: [], states: [{ state: 'Georgia', reporting: 80 }] });
+        assert.equal(engine.getStateTotals('2020', 'GEORGIA').reporting, 80);
+    });
+
+    test('a zero-padded feed FIPS replaces the county the CSV stored unpadded', () => {
+        const engine = engineFor('modes.csv');
+        engine.applyLiveResults({ year: 2020, counties: [{ ...liveCounty('01001', 90, 20000, 10000), state: 'ALABAMA' }] });
+        assert.equal(engine.getCountyTotals('2020', '01001'), null);
+        assert.equal(engine.getCountyTotals('2020', '1001').reporting, 90);
+        assert.equal(engine.electionData.get('2020').get('ALABAMA').size, 1);
+        assert.deepEqual(engine.getStateTotals('2020', 'ALABAMA').votes, { REPUBLICAN: 20000, DEMOCRAT: 10000 });
+    });
+
+    test('a feed can start a year with no historical data', () => {
+        const engine = new ElectionDataEngine();
+        engine.applyLiveResults({ year: 2028, counties: [liveCounty('13121', 130, 10, 20), liveCounty('13067', 'n/a', 5, 1)] });
+        assert.equal(engine.getCountyTotals('2028', '13121').reporting, 100);
+        assert.equal(engine.getCountyTotals('2028', '13067').reporting, 100);
+        assert.equal(engine.getStateWinner('2028', 'GEORGIA'), 'DEMOCRAT');
+    });
+
+    test('map counties match the latest feed, including counties missing from the first', () => {
+        const engine = new ElectionDataEngine();
+        engine.applyLiveResults({ year: 2028, counties: [liveCounty('13121', 40, 10, 20)] });
+        assert.equal(engine.matchCountyResult('2028', '13067', 'GEORGIA'), null);
+
+        engine.applyLiveResults({ year: 2028, counties: [liveCounty('13121', 90, 30, 20), liveCounty('13067', 50, 5, 1)] });
+        const fulton = engine.matchCountyResult('2028', '13121', 'GEORGIA').result;
+        assert.deepEqual([fulton.winner, fulton.reporting], ['REPUBLICAN', 90]);
+        assert.equal(engine.matchCountyResult('2028', '13067', 'GEORGIA').result.reporting, 50);
+    });
+});
+
+describe('outstanding-vote estimator', () => {
+    const engine = engineFor('modes.csv');
+    const partial = engine.parsePartialResults(fs.readFileSync(path.join(__dirname, 'fixtures', 'partial-results.csv'), 'utf8'));
+    const { states, unmatched } = engine.estimateOutstandingVote(partial, '2020');
+    const georgia = states.get('GEORGIA');
+
+    test('counties missing from the baseline year are reported as unmatched', () => {
+        assert.deepEqual(unmatched, ['99999']);
+        assert.deepEqual(Array.from(states.keys()), ['GEORGIA', 'ALABAMA']);
+    });
+
+    test('partial FIPS match the baseline in any format the CSV uses', () => {
+        // Autauga is "1001" in the baseline CSV
+        assert.deepEqual(states.get('ALABAMA').counties.map(county => [county.fips, county.reportedVotes]), [['1001', 18000]]);
+
+        const special = engineFor('special-states.csv');
+        const towns = special.parsePartialResults('county_fips,party,votes\n4400105500,DEMOCRAT,100\n4400105140,DEMOCRAT,50\n2001,REPUBLICAN,70\n');
+        assert.deepEqual(Array.from(towns.entries()), [['44001', { DEMOCRAT: 150 }], ['02240', { REPUBLICAN: 70 }]]);
+        const estimate = special.estimateOutstandingVote(towns, '2020');
+        assert.deepEqual(estimate.unmatched, []);
+        assert.deepEqual(Array.from(estimate.states.keys()), ['RHODE ISLAND', 'ALASKA']);
+    });
+
+    test('expected remaining vote comes from baseline turnout', () => {
+        assert.equal(georgia.expectedVotes, 8000 + 3300);
+        assert.equal(georgia.reportedVotes, 4000);
+        assert.equal(georgia.expectedRemaining, 4000 + 3300);
+        assert.deepEqual(georgia.counties.map(county => [county.fips, county.remainingVotes, county.marginSource]),
+            [['13001', 4000, 'current'], ['13003', 3300, 'swing']]);
+    });
+
+    test('unreported counties move from their baseline margin by the reporting swing', () => {
+        // Appling counted R+50 against R+62.5 in 2020, so Atkinson's R+3.03 becomes D+9.47
+        assert.equal(georgia.swing, -12.5);
+        assert.ok(Math.abs(georgia.counties[1].margin - (100 / 3300 * 100 - 12.5)) < 1e-9);
+        assert.equal(georgia.currentMargin, 50);
+        assert.ok(Math.abs(georgia.projectedMargin - (2000 + 2000 - 312.5) / 11300 * 100) < 1e-9);
+        assert.ok(georgia.marginLow < georgia.projectedMargin && georgia.projectedMargin < georgia.marginHigh);
+    });
+});
+
+describe('results export', () => {
+    const engine = engineFor('special-states.csv');
+
+    test('statewide tables use the map results, keyed by canonical 5-digit FIPS', () => {
+        const rhodeIsland = engine.getResultsTable('2020', { level: 'statewide', stateName: 'RHODE ISLAND' });
+        assert.deepEqual(rhodeIsland.rows.map(row => [row.fips, row.total_votes, row.democrat_votes, row.winner, row.margin]),
+            [['44001', 20000, 13000, 'DEMOCRAT', 30], ['44005', 9500, 0, 'REPUBLICAN', 100]]);
+        assert.equal(rhodeIsland.rows[0].democrat_share, 65);
+
+        const alaska = engine.getResultsTable('2020', { level: 'statewide', stateName: 'ALASKA' });
+        assert.deepEqual(alaska.rows.map(row => row.fips), ['02158', '02240']);
+        assert.equal(engine.getCanonicalFips('1001'), '01001');
+    });
+
+    test('county tables list candidates and CSV output quotes commas', () => {
+        const county = engine.getResultsTable('2020', { level: 'county', countyFips: '02240' });
+        assert.equal(county.area.winner, 'REPUBLICAN');
+        assert.deepEqual(county.rows.map(row => [row.candidate, row.votes, row.share]),
+            [['Donald J. Trump', 5000, 55.56], ['Joseph R. Biden Jr.', 4000, 44.44]]);
+
+        const csv = ElectionDataEngine.formatCsv(['name', 'votes'], [{ name: 'Doe, "Jr"', votes: 5 }, { name: 'X', votes: null }]);
+        assert.equal(csv, 'name,votes\n"Doe, ""Jr""",5\nX,\n');
+    });
+
+    test('national tables carry electoral votes and an unknown level is rejected', () => {
+        const national = engine.getResultsTable('2020', { level: 'national' });
+        const democrat = national.rows.find(row => row.party === 'DEMOCRAT');
+        assert.equal(democrat.votes, national.area.totalVotes - national.rows.find(row => row.party === 'REPUBLICAN').votes);
+        assert.equal(typeof democrat.electoral_votes, 'number');
+        assert.throws(() => engine.getResultsTable('2020', { level: 'precinct' }), /Unknown results level/);
+    });
+});
+
+describe('FIPS crosswalk', () => {
+    const engine = engineFor('crosswalk.csv');
+
+    test('renames apply only to the years before the change', () => {
+        assert.equal(engine.resolveCountyResult('2012', '46102').name, 'SHANNON');
+        assert.equal(engine.getCrosswalkEntry('2016', '46102'), null);
+        assert.equal(engine.resolveCountyResult('2012', '46113'), null);
+    });
+
+    test('merged counties sum their sources', () => {
+        const bedford = engine.resolveCountyResult('2012', '51019');
+        assert.deepEqual(bedford.votes, { REPUBLICAN: 26500, DEMOCRAT: 11500 });
+        assert.equal(bedford.name, 'BEDFORD');
+        assert.equal(bedford.candidates[0].votes, 26500);
+
+        const valdezCordova = engine.resolveCountyResult('2020', '02261');
+        assert.deepEqual(valdezCordova.votes, { REPUBLICAN: 5000, DEMOCRAT: 4000 });
+    });
+
+    test('planning-region votes are allocated to the old counties by share', () => {
+        const tolland = engine.resolveCountyResult('2024', '09013');
+        assert.deepEqual(tolland.votes, { DEMOCRAT: 36000 + 400, REPUBLICAN: 24000 + 600 });
+        assert.equal(tolland.crosswalk.sources.length, 2);
+        assert.equal(engine.getCountyResultsTable('2024', '09013').area.name, 'TOLLAND');
+    });
+
+    test('each source county is allocated in full, never more', () => {
+        const groups = new Map();
+        ElectionDataEngine.FIPS_CROSSWALK.forEach(entry => Object.entries(entry.sources).forEach(([fips, share]) => {
+            const key = `${fips}:${entry.years.join('-')}`;
+            groups.set(key, (groups.get(key) || 0) + share);
+        }));
+        groups.forEach((total, key) => assert.ok(Math.abs(total - 1) < 1e-9, `${key} allocates ${total}`));
+    });
+});
+
+describe('data quality audit', () => {
+    const engine = engineFor('audit.csv');
+    const mapCounties = [
+        { fips: '50001', name: 'Addison' }, { fips: '50003', name: 'Bennington' },
+        { fips: '50005', name: 'Caledonia' }, { fips: '50007', name: 'Chittenden' }
+    ];
+
+    test('TOTAL VOTES CAST rows are kept as reported totals for the modes used', () => {
+        assert.equal(engine.getCountyTotals('2020', '50001').reportedVotes, 20000);
+        assert.equal(engine.getCountyTotals('2020', '50005').reportedVotes, 9000);
+        assert.equal(engine.getCountyTotals('2020', '50009'), null);
+        assert.equal(engineFor('filtering.csv').getCountyTotals('2016', '39001').reportedVotes, 11500);
+    });
+
+    test('lists map counties without results, results without geometry and summed modes', () => {
+        const audit = engine.auditState('2020', 'VERMONT', mapCounties);
+        assert.deepEqual(audit.unmatchedCounties, [{ fips: '50007', name: 'Chittenden' }]);
+        assert.deepEqual(audit.unmappedResults, [{ fips: '50999', name: 'STATEWIDE WRITEIN', votes: 60 }]);
+        assert.deepEqual(audit.summedModes, [{ fips: '50005', name: 'CALEDONIA', modes: ['Election day', 'Absentee/mail'] }]);
+    });
+
+    test('compares derived votes with TOTAL VOTES CAST', () => {
+        const { totals, totalMismatches } = engine.auditState('2020', 'VERMONT', mapCounties);
+        assert.deepEqual(totals, {
+            derivedVotes: 48060, reportedVotes: 48250, comparedVotes: 48000, difference: -250, reportedCounties: 3, counties: 4
+        });
+        assert.deepEqual(totalMismatches, [{ fips: '50003', name: 'BENNINGTON', derivedVotes: 19000, reportedVotes: 19250, difference: -250 }]);
+    });
+
+    test('crosswalk sources count as drawn', () => {
+        const audit = engineFor('crosswalk.csv').auditState('2012', 'VIRGINIA', [{ fips: '51019' }]);
+        assert.deepEqual(audit.unmappedResults, []);
+        assert.deepEqual(audit.unmatchedCounties, []);
+    });
+});